@@ -6,36 +6,85 @@
  */
 
 // Game constants
+const { BALL_RADIUS, MIRROR_LENGTH, MIRROR_WIDTH } = ObjectSizes; // Shared with the puzzle generator (object-sizes.js)
 const CANVAS_WIDTH = 1200;
 const CANVAS_HEIGHT = 800;
-const BALL_RADIUS = 25;
+const BALL_COLORS = ['#3264ff', '#e63c3c', '#f0a000', '#28a050', '#9650dc']; // Default colors of the 1st, 2nd, ... ball
 const MIRROR_COUNT = 1;
-const MIRROR_LENGTH = BALL_RADIUS * 10; // Fixed mirror length (5 times ball diameter)
 const MIRROR_THICKNESS = 4;
 const REFLECTIVE_THICKNESS = 6; // Thicker for the reflective side
 const NON_REFLECTIVE_THICKNESS = 3; // Thinner for the non-reflective side
-const MIRROR_WIDTH = 4; // Width of the mirror object (distance between blue and black sides)
 const EYE_SIZE = 40;
+const VIEW_CONE_LENGTH = 160; // How far the view cone of an eye with a field of view is drawn
+const EYE_HANDLE_DISTANCE = EYE_SIZE; // Distance from an eye to the handle that turns it
+const PANORAMA_HEIGHT = 48; // Height of the strip under the canvas that shows what the eye sees
+const PANORAMA_COLUMN_WIDTH = 2; // Pixels of the strip each line of sight fills
+const PANORAMA_INSET = 8; // Gap above and below balls in the strip, where the surface behind them shows
 const MAX_REFLECTIONS = 10; // Maximum number of reflections to prevent infinite loops
 const MIN_REFLECTION_SIZE_RATIO = 0.05; // Minimum size ratio to original ball (10%)
+const TARGET_MATCH_TOLERANCE = 5; // Default pixel tolerance for matching ghost targets
+const LAYOUT_SEARCH_TIME = 1000; // Milliseconds spent looking for a random layout the solver can solve
+const ARC_MIRROR_RADIUS = MIRROR_LENGTH; // Radius of new curved mirrors
+const ARC_MIRROR_SPAN = Math.PI / 3; // Angular extent of new curved mirrors (60 degrees)
+const WALL_THICKNESS = 8; // Drawn thickness of segment obstacles
+
+// Geometry helpers shared with the reflection engine (reflection-engine.js)
+const { lineIntersection, dotProduct, normalizeVector, createVirtualImage } = ReflectionEngine;
 
 // Will store our reflection colors once initialized
 let REFLECTION_COLORS = [];
 
 // Game objects
-let ball; 
+let balls = []; // Balls in the scene, each { id, x, y, radius, color, label }
 let mirrors = [];
+let obstacles = []; // Opaque walls, pillars and polygons that block sight lines
 let eye;
-let eyePosition = {x: 0, y: 0}; // Will be set in setup
+let eyes = []; // Observers in the scene, each { id, x, y, label }
+let activeEyeIndex = 0; // Index of the eye whose rays are shown
 let reflections = []; // Array to store calculated reflections
+let panorama = null; // Graphics of the strip that shows the active eye's view
 let showRayPaths = false; // Flag to toggle ray path visualization - default to off
 let currentRayIndex = -1; // Index of the current ray being displayed (-1 means no rays shown)
+let showAllRays = false; // Whether the ray paths of all reflections are drawn at once
+let hiddenRayOrders = new Set(); // Reflection orders unticked in the all-rays legend
+let hiddenRayMirrors = new Set(); // Mirrors unticked in the all-rays legend
+let rayLegendKey = ''; // Orders and mirror count the legend's checkboxes were built for
 
 // Dragging state
 let isDragging = false;
 let draggedObject = null;
+let draggedBallIndex = null; // Index of the ball being dragged
+let draggedEyeIndex = null; // Index of the eye being dragged
+let isTurningEye = false; // Whether the eye is dragged by its handle, turning it
 let draggedMirrorPoint = null; // Which endpoint of a mirror is being dragged
 let draggedMirrorIndex = null; // Index of the mirror being dragged for middle dragging
+let draggedObstacleIndex = null; // Index of the obstacle being dragged
+
+// Snapping
+const SNAP_DISTANCE = 10; // How close (in pixels) a dragged end must come to another mirror's end to join it
+const ALIGN_TOLERANCE = Math.PI / 36; // How close (5 degrees) a mirror must be to parallel or perpendicular to snap
+const DEFAULT_SNAP_SETTINGS = { enabled: false, angle: 15, grid: 20, endpoints: true, alignment: true };
+let snapSettings = { ...DEFAULT_SNAP_SETTINGS }; // Saved with arrangements as "snap"
+let activeSnap = null; // Snap applied to the drag in progress, labeled on the canvas
+let unsnappedDragPoint = null; // Where a mirror dragged by its middle would be without snapping
+
+// Keyboard controls
+const NUDGE_STEP = 1; // Pixels an arrow key moves the selected object
+const BIG_NUDGE_STEP = 10; // Pixels Shift+arrow moves it
+const ROTATE_STEP = 1; // Degrees Q and E turn the selected mirror
+const BIG_ROTATE_STEP = 15; // Degrees Shift+Q and Shift+E turn it
+let keyboardSelection = null; // Object arrow keys move, as { kind, index }
+let lastKeyboardMove = null; // Object the last key move was made on, so a run of nudges counts as one move
+let lastAnnouncedCounts = ''; // Reflection counts the live region last announced
+
+// Undo/redo history
+const HISTORY_LIMIT = 100; // Maximum number of edits that can be undone
+let undoStack = []; // Recorded edits, newest last
+let redoStack = []; // Undone edits, newest last
+let dragStartState = null; // Pending history entry for the drag in progress
+
+// Mirror selection
+let selectedMirror = null; // Mirror shown in the property inspector
 
 // Puzzle variables
 let currentPuzzle = null;
@@ -45,6 +94,30 @@ let puzzleStartTime = null;
 let isPuzzleSolved = false;
 let isPuzzleFailed = false;
 let timeLimitInterval = null; // For tracking the timer interval
+let puzzleSeed = null; // Seed of the current puzzle's randomization
+let isLayoutUnverified = false; // Whether randomization ran out of time before the solver solved a layout
+let puzzleArrangement = null; // Arrangement JSON the current puzzle starts from
+let dailyPuzzleDate = null; // Day of the current daily puzzle ('YYYY-MM-DD')
+
+// Star rating variables
+const DEFAULT_STAR_THRESHOLDS = { hints: [0, 1] }; // Used by puzzles without "stars"
+let puzzleHintsUsed = 0; // Hints shown since the puzzle (re)started
+let puzzleDragCount = 0; // Drags made since the puzzle (re)started
+let parArrangement = null; // Arrangement a solution is compared with for its par distance
+
+// Hint variables
+let lastHintTime = null; // When the last hint was shown, for the puzzle's hint cooldown
+let hintCooldownInterval = null; // Counts down the cooldown on the hint button
+let hintVisuals = []; // Highlighted mirrors, ghost mirrors and ray paths of the hints shown
+let hintSolution = null; // Solved arrangement the visual hints come from (false if none was found)
+
+// Campaign variables
+const PROGRESS_STORAGE_KEY = 'lightDetectiveProgress'; // localStorage key of the saved progress
+let campaign = null; // Chapters and puzzle order from puzzles/campaign.json
+
+// Ghost target variables (reverse-engineering puzzles)
+let ghostTargets = []; // Reflections of the hidden arrangement the player must reproduce
+let targetMatches = []; // Matched/unmatched status for each ghost target
 
 // This function runs when the page loads
 window.onload = function() {
@@ -57,13 +130,15 @@ window.onload = function() {
     resetBtn.onclick = function() {
       console.log("Reset button clicked");
       
-      // Create a ball at a random position
-      ball = {
-        x: random(BALL_RADIUS, width - BALL_RADIUS),
-        y: random(BALL_RADIUS, height * 0.7),  // Keep ball in upper 70% of screen
-        radius: BALL_RADIUS
-      };
-      console.log("New ball created at:", ball.x, ball.y);
+      // Remember the scene so the reset can be undone
+      const sceneBefore = snapshotScene();
+      
+      // Move every ball to a random position
+      for (let ball of balls) {
+        ball.x = random(ball.radius, width - ball.radius);
+        ball.y = random(ball.radius, height * 0.7);  // Keep balls in upper 70% of screen
+      }
+      console.log("Balls moved to random positions");
       
       // Create random mirrors with fixed length
       mirrors = [];
@@ -133,6 +208,7 @@ window.onload = function() {
       
       // Recalculate reflections
       calculateReflections();
+      recordHistory({ type: 'scene', before: sceneBefore, after: snapshotScene() });
       console.log("Reset complete with", reflections.length, "reflections");
     };
     console.log("Reset button handler setup complete");
@@ -143,18 +219,7 @@ window.onload = function() {
   // Get the cycle button and add a click event handler
   const cycleBtn = document.getElementById('cycleRay');
   if (cycleBtn) {
-    cycleBtn.onclick = function() {
-      // If rays are currently hidden, show the first ray
-      if (currentRayIndex === -1) {
-        currentRayIndex = 0;
-        showRayPaths = true;
-      } else {
-        // Cycle to the next ray, wrapping around if at the end
-        currentRayIndex = (currentRayIndex + 1) % reflections.length;
-        // Ensure rays stay visible
-        showRayPaths = true;
-      }
-    };
+    cycleBtn.onclick = cycleRays;
   }
   
   // Get the hide rays button and add a click event handler
@@ -164,9 +229,17 @@ window.onload = function() {
       // Hide all rays
       showRayPaths = false;
       currentRayIndex = -1;
+      showAllRays = false;
+      updateRayLegend();
     };
   }
   
+  // Get the all rays button and add a click event handler
+  const allRaysBtn = document.getElementById('allRays');
+  if (allRaysBtn) {
+    allRaysBtn.onclick = toggleAllRays;
+  }
+  
   // Get the add mirror button and add a click event handler
   const addMirrorBtn = document.getElementById('addMirror');
   if (addMirrorBtn) {
@@ -175,6 +248,22 @@ window.onload = function() {
     };
   }
   
+  // Get the add curved mirror button and add a click event handler
+  const addArcMirrorBtn = document.getElementById('addArcMirror');
+  if (addArcMirrorBtn) {
+    addArcMirrorBtn.onclick = function() {
+      addNewArcMirror(); // Add a new concave mirror
+    };
+  }
+  
+  // Get the add eye button and add a click event handler
+  const addEyeBtn = document.getElementById('addEye');
+  if (addEyeBtn) {
+    addEyeBtn.onclick = function() {
+      addNewEye(); // Add a second viewpoint
+    };
+  }
+  
   // Set up export button
   const exportBtn = document.getElementById('exportArrangement');
   if (exportBtn) {
@@ -183,30 +272,74 @@ window.onload = function() {
     };
   }
   
+  // Set up the snapping toggle and settings
+  setupSnapControls();
+  
+  // Keyboard shortcuts: undo (Ctrl+Z), redo (Ctrl+Shift+Z) and Delete for the selected mirror
+  document.addEventListener('keydown', function(event) {
+    // Leave text fields their own undo and editing keys
+    if (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA') return;
+    
+    if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'z') {
+      event.preventDefault();
+      if (event.shiftKey) {
+        redo();
+      } else {
+        undo();
+      }
+    } else if (event.key === 'Delete' || event.key === 'Backspace') {
+      if (selectedMirror) {
+        event.preventDefault();
+        deleteSelectedMirror();
+      }
+    } else if (event.target.tagName === 'CANVAS' && handleSceneKey(event)) {
+      // Tab, arrows, Q/E and Enter work on the scene while the canvas has focus
+      event.preventDefault();
+    }
+  });
+  
   console.log("Window onload completed, all buttons initialized");
 };
 
+// Function to show the next reflection's ray path
+function cycleRays() {
+  if (reflections.length === 0) return;
+  
+  // If rays are currently hidden, show the first ray
+  if (currentRayIndex === -1) {
+    currentRayIndex = 0;
+    showRayPaths = true;
+  } else {
+    // Cycle to the next ray, wrapping around if at the end
+    currentRayIndex = (currentRayIndex + 1) % reflections.length;
+    // Ensure rays stay visible
+    showRayPaths = true;
+  }
+  
+  announce(`Ray ${currentRayIndex + 1} of ${reflections.length}: order ${reflections[currentRayIndex].depth} reflection.`);
+}
+
+// Function to switch the overlay with every reflection's ray path on or off
+function toggleAllRays() {
+  showAllRays = !showAllRays;
+  updateRayLegend();
+  
+  if (showAllRays) {
+    announce(`Showing the ray paths of ${getAllRayPaths().length} reflections.`);
+  } else {
+    announce('All rays hidden.');
+  }
+}
+
 // Function to export the current arrangement to a JSON file
 function exportArrangement() {
   // Create a JSON object with the current state
   const arrangement = {
-    ball: {
-      x: ball.x,
-      y: ball.y,
-      radius: ball.radius
-    },
-    eye: {
-      x: eyePosition.x,
-      y: eyePosition.y
-    },
-    mirrors: mirrors.map(mirror => ({
-      x1: mirror.x1,
-      y1: mirror.y1,
-      x2: mirror.x2,
-      y2: mirror.y2,
-      normal: mirror.normal,
-      width: mirror.width
-    }))
+    balls: balls.map(snapshotBall),
+    eyes: eyes.map(snapshotEye),
+    mirrors: mirrors.map(snapshotMirror),
+    obstacles: obstacles.map(snapshotObstacle),
+    snap: { ...snapSettings }
   };
   
   // Convert to JSON string
@@ -243,58 +376,47 @@ function importArrangement(arrangement) {
   try {
     // No need to parse the JSON again, the data is already an object
     
-    // Import ball data
-    ball = {
-      x: arrangement.ball.x,
-      y: arrangement.ball.y,
-      radius: arrangement.ball.radius || BALL_RADIUS
-    };
+    // Remember the current scene so a sandbox import can be undone
+    const sceneBefore = balls.length > 0 ? snapshotScene() : null;
     
-    // Import eye position
-    eyePosition = {
-      x: arrangement.eye.x,
-      y: arrangement.eye.y
-    };
+    // Import balls (older arrangements have a single ball)
+    balls = ReflectionEngine.getSceneBalls(arrangement).map(createBall);
+    
+    // Import eyes (older arrangements have a single eye)
+    eyes = ReflectionEngine.getSceneEyes(arrangement).map(createEye);
+    activeEyeIndex = 0;
     
     // Import mirrors
     mirrors = [];
     for (let mirrorData of arrangement.mirrors) {
-      // Extract basic mirror data
-      const { x1, y1, x2, y2, normal, width } = mirrorData;
-      const mirrorWidth = width || MIRROR_WIDTH;
-      
-      // Calculate the sides of the mirror
-      const halfWidth = mirrorWidth / 2;
-      
-      // Blue side coordinates
-      const blueX1 = x1 + normal.x * halfWidth;
-      const blueY1 = y1 + normal.y * halfWidth;
-      const blueX2 = x2 + normal.x * halfWidth;
-      const blueY2 = y2 + normal.y * halfWidth;
-      
-      // Black side coordinates
-      const blackX1 = x1 - normal.x * halfWidth;
-      const blackY1 = y1 - normal.y * halfWidth;
-      const blackX2 = x2 - normal.x * halfWidth;
-      const blackY2 = y2 - normal.y * halfWidth;
-      
-      // Add mirror
-      mirrors.push({
-        x1, y1, x2, y2,
-        blueX1, blueY1, blueX2, blueY2,
-        blackX1, blackY1, blackX2, blackY2,
-        thickness: MIRROR_THICKNESS,
-        normal: normal,
-        width: mirrorWidth
-      });
+      // Flat mirrors are stored as a center line and normal, curved ones as an arc
+      const mirror = { thickness: MIRROR_THICKNESS };
+      restoreMirror(mirror, { ...mirrorData, width: mirrorData.width || MIRROR_WIDTH });
+      mirrors.push(mirror);
     }
     
+    // Import obstacles (older arrangements have none)
+    obstacles = (arrangement.obstacles || []).map(snapshotObstacle);
+    
+    // Indices of the old scene's objects mean nothing in the new one
+    keyboardSelection = null;
+    lastAnnouncedCounts = '';
+    
+    // Arrangements without snap settings start with snapping off
+    snapSettings = { ...DEFAULT_SNAP_SETTINGS, ...arrangement.snap };
+    updateSnapControls();
+    
     // Reset reflections and calculate new ones
     reflections = [];
     showRayPaths = false;
     currentRayIndex = -1;
     calculateReflections();
     
+    // Puzzles start with a fresh history instead (see loadPuzzle)
+    if (!isPuzzleMode && sceneBefore) {
+      recordHistory({ type: 'scene', before: sceneBefore, after: snapshotScene() });
+    }
+    
     console.log("Imported arrangement with", mirrors.length, "mirrors");
     return true;
   } catch (error) {
@@ -304,8 +426,12 @@ function importArrangement(arrangement) {
 }
 
 function setup() {
-  // Create a fixed-size canvas
-  createCanvas(CANVAS_WIDTH, CANVAS_HEIGHT);
+  // Create a fixed-size canvas, focusable so the scene can be used from the keyboard
+  const canvas = createCanvas(CANVAS_WIDTH, CANVAS_HEIGHT);
+  canvas.elt.setAttribute('tabindex', '0');
+  canvas.elt.setAttribute('role', 'application');
+  canvas.elt.setAttribute('aria-label', 'Light Detective scene. Tab selects the ball, mirrors and eye, ' +
+    'arrow keys move the selection, Q and E turn a mirror and Enter cycles the rays.');
   
   // Initialize reflection colors
   REFLECTION_COLORS = [
@@ -327,43 +453,86 @@ function setup() {
     color(100, 200, 255)    // 15th order - Sky Blue
   ];
   
+  // Show the active eye's view in a strip under the canvas
+  panorama = createGraphics(CANVAS_WIDTH, PANORAMA_HEIGHT);
+  panorama.id('panorama');
+  panorama.elt.setAttribute('aria-hidden', 'true');
+  panorama.show();
+  
   // Load the eye image
   eye = loadImage('eye.svg');
   
-  // Set eye position
-  eyePosition = {
+  // Place the eye at the center bottom
+  eyes = [createEye({
     x: width / 2,
     y: height - 30
-  };
+  }, 0)];
   
   // Initialize game objects with random positions
   initializeGame();
   
   // Initial calculation of reflections
   calculateReflections();
+  
+  // Start the puzzle linked to in the URL, if any
+  loadPuzzleFromURL();
 }
 
 function draw() {
   // Clear the canvas
   background(240);
   
+  // Draw walls and other obstacles
+  drawObstacles();
+  
   // Draw all mirrors
   drawMirrors();
   
+  // Draw the snapping grid and the snap the dragged mirror is held by
+  drawSnapGuides();
+  
+  // Draw the mirror highlights, ghost mirrors and ray paths of puzzle hints
+  drawHintVisuals();
+  
+  // Draw every ray path at once if the overlay is on
+  if (showAllRays) {
+    drawAllRayPaths();
+  }
+  
   // Draw ray paths if enabled
   if (showRayPaths) {
     drawRayPaths();
   }
   
+  // Draw the ghost targets of a reverse-engineering puzzle
+  drawGhostTargets();
+  
+  // Draw the target images of matchImages win conditions
+  drawImageTargets();
+  
   // Draw all reflections (green balls)
   drawReflections();
   
-  // Draw the ball
-  drawBall();
+  // Draw the balls
+  drawBalls();
   
   // Draw the eye at the center bottom
   drawEye();
   
+  // Draw the guides of constrained objects and the lock on fixed ones
+  drawConstraints();
+  
+  // Ring the object selected from the keyboard
+  drawKeyboardSelection();
+  
+  // Draw the puzzle editor's movable objects and randomization regions
+  if (isEditorMode) {
+    drawEditorOverlay();
+  }
+  
+  // Draw what the active eye sees in the strip under the canvas
+  drawPanorama();
+  
   // Check puzzle conditions if in puzzle mode
   if (isPuzzleMode && currentPuzzle && !isPuzzleSolved && !isPuzzleFailed) {
     checkPuzzleConditions();
@@ -374,12 +543,14 @@ function initializeGame() {
   console.log("Initializing game with random positions");
   
   // Create a ball at a random position
-  ball = {
+  balls = [createBall({
     x: random(BALL_RADIUS, width - BALL_RADIUS),
-    y: random(BALL_RADIUS, height * 0.7),  // Keep ball in upper 70% of screen
-    radius: BALL_RADIUS
-  };
-  console.log("Ball created at:", ball.x, ball.y);
+    y: random(BALL_RADIUS, height * 0.7)  // Keep ball in upper 70% of screen
+  }, 0)];
+  console.log("Ball created at:", balls[0].x, balls[0].y);
+  
+  // The default scene has no obstacles
+  obstacles = [];
   
   // Create random mirrors with fixed length
   mirrors = [];
@@ -461,16 +632,21 @@ function initializeGame() {
     console.log("Mirror created at:", x1, y1, "to", x2, y2);
   }
   
-  // Clear reflections
+  // Clear reflections and the undo history
   reflections = [];
+  clearHistory();
   console.log("Game initialization complete");
 }
 
 function drawMirrors() {
   for (let mirror of mirrors) {
-    // Draw black non-reflective side
-    stroke(0);
-    strokeWeight(NON_REFLECTIVE_THICKNESS);
+    if (mirror.type === 'arc') {
+      drawArcMirror(mirror);
+      continue;
+    }
+    
+    // Draw the back side (black unless the mirror is double-sided)
+    setMirrorFaceStroke(mirror, 'back');
     line(
       mirror.blackX1,
       mirror.blackY1,
@@ -478,48 +654,531 @@ function drawMirrors() {
       mirror.blackY2
     );
     
-    // Draw light blue reflective side
-    stroke(100, 200, 255);
-    strokeWeight(REFLECTIVE_THICKNESS);
+    // Draw the front side (light blue unless only the back reflects)
+    setMirrorFaceStroke(mirror, 'front');
     line(
       mirror.blueX1,
       mirror.blueY1,
       mirror.blueX2,
       mirror.blueY2
     );
+    
+    // Mark the endpoints of the selected mirror
+    if (mirror === selectedMirror) {
+      stroke(255, 150, 0);
+      strokeWeight(2);
+      noFill();
+      ellipse(mirror.x1, mirror.y1, 16, 16);
+      ellipse(mirror.x2, mirror.y2, 16, 16);
+    }
   }
 }
 
-function drawBall() {
-  // Draw the ball as a blue circle
-  fill(50, 100, 255);
-  noStroke();
-  ellipse(ball.x, ball.y, ball.radius * 2);
+// Function to draw a curved mirror, with the blue side facing its reflective side
+function drawArcMirror(mirror) {
+  const halfWidth = mirror.width / 2;
+  const blueRadius = mirror.reflectiveSide === 'convex' ? mirror.radius + halfWidth : mirror.radius - halfWidth;
+  const blackRadius = mirror.reflectiveSide === 'convex' ? mirror.radius - halfWidth : mirror.radius + halfWidth;
+  
+  noFill();
+  
+  // Draw the back side (black unless the mirror is double-sided)
+  setMirrorFaceStroke(mirror, 'back');
+  arc(mirror.cx, mirror.cy, blackRadius * 2, blackRadius * 2, mirror.startAngle, mirror.endAngle, OPEN);
+  
+  // Draw the front side (light blue unless only the back reflects)
+  setMirrorFaceStroke(mirror, 'front');
+  arc(mirror.cx, mirror.cy, blueRadius * 2, blueRadius * 2, mirror.startAngle, mirror.endAngle, OPEN);
+  
+  // Mark the endpoints of the selected mirror
+  if (mirror === selectedMirror) {
+    stroke(255, 150, 0);
+    strokeWeight(2);
+    ellipse(mirror.x1, mirror.y1, 16, 16);
+    ellipse(mirror.x2, mirror.y2, 16, 16);
+  }
+}
+
+// Function to set the stroke for one side of a mirror: light blue where it
+// reflects, black where it doesn't. Half-silvered mirrors are see-through.
+function setMirrorFaceStroke(mirror, face) {
+  const opacity = 255 * (0.3 + 0.7 * ReflectionEngine.getReflectivity(mirror));
+  
+  if (ReflectionEngine.reflectsFace(mirror, face)) {
+    stroke(100, 200, 255, opacity);
+    strokeWeight(REFLECTIVE_THICKNESS);
+  } else {
+    stroke(0, opacity);
+    strokeWeight(NON_REFLECTIVE_THICKNESS);
+  }
+}
+
+// Function to draw the opaque obstacles in dark gray
+function drawObstacles() {
+  for (let obstacle of obstacles) {
+    if (obstacle.type === 'segment') {
+      stroke(70);
+      strokeWeight(WALL_THICKNESS);
+      line(obstacle.x1, obstacle.y1, obstacle.x2, obstacle.y2);
+      continue;
+    }
+    
+    fill(90);
+    stroke(50);
+    strokeWeight(2);
+    
+    if (obstacle.type === 'circle') {
+      ellipse(obstacle.x, obstacle.y, obstacle.radius * 2);
+    } else {
+      beginShape();
+      for (let point of obstacle.points) {
+        vertex(point.x, point.y);
+      }
+      endShape(CLOSE);
+    }
+  }
+}
+
+function drawBalls() {
+  for (let ball of balls) {
+    // Draw the ball as a circle in its own color
+    fill(ball.color);
+    noStroke();
+    ellipse(ball.x, ball.y, ball.radius * 2);
+    
+    // Write the label, if any, above the ball
+    if (ball.label) {
+      fill(0);
+      textAlign(CENTER, BOTTOM);
+      textSize(14);
+      text(ball.label, ball.x, ball.y - ball.radius - 4);
+    }
+  }
 }
 
 function drawReflections() {
   // Draw all reflections as colored balls based on their reflection order
   noStroke();
   
+  // Reflections that currently match a ghost target
+  const matchedReflections = targetMatches
+    .filter(match => match.matched)
+    .map(match => match.reflection);
+  
   for (let reflection of reflections) {
-    // Check if this reflection is visible from current eye position
+    // Check if this reflection is visible from any eye
     if (!isReflectionVisible(reflection)) continue;
     
-    // Get color based on reflection depth, default to the last color if beyond our defined colors
-    const colorIndex = Math.min(reflection.depth, REFLECTION_COLORS.length - 1);
-    fill(REFLECTION_COLORS[colorIndex]);
+    // Images fade with the share of light that reaches the eye (half-silvered mirrors)
+    const intensity = reflection.intensity;
     
+    // With several eyes, images the selected eye can't see are only outlined
+    if (eyes.length > 1 && !isReflectionVisible(reflection, getActiveEye())) {
+      const colorIndex = Math.min(reflection.depth, REFLECTION_COLORS.length - 1);
+      const reflectionColor = REFLECTION_COLORS[colorIndex];
+      noFill();
+      stroke(red(reflectionColor), green(reflectionColor), blue(reflectionColor), alpha(reflectionColor) * intensity);
+      strokeWeight(2);
+      ellipse(reflection.x, reflection.y, reflection.radius * 2);
+      noStroke();
+      continue;
+    }
+    
+    if (ghostTargets.length > 0) {
+      // Against ghost targets: green for matched reflections, blue for unmatched ones
+      if (matchedReflections.includes(reflection)) {
+        fill(0, 255, 0, 200 * intensity);
+      } else {
+        fill(0, 100, 255, 150 * intensity);
+      }
+    } else {
+      // Get color based on reflection depth, default to the last color if beyond our defined colors
+      const colorIndex = Math.min(reflection.depth, REFLECTION_COLORS.length - 1);
+      const reflectionColor = REFLECTION_COLORS[colorIndex];
+      
+      if (balls.length > 1) {
+        // With several balls, fill in the source ball's color and ring it in the order's color
+        const ballColor = color(reflection.sourceBall.color);
+        fill(red(ballColor), green(ballColor), blue(ballColor), 255 * intensity);
+        stroke(red(reflectionColor), green(reflectionColor), blue(reflectionColor), alpha(reflectionColor) * intensity);
+        strokeWeight(4);
+      } else {
+        fill(red(reflectionColor), green(reflectionColor), blue(reflectionColor), alpha(reflectionColor) * intensity);
+      }
+    }
+    
+    // Images cut off at a mirror edge only show the part the eye sees through the mirrors
+    push();
+    clipToVisibleWedge(reflection, getActiveEye());
     ellipse(reflection.x, reflection.y, reflection.radius * 2);
+    pop();
+    noStroke();
+  }
+}
+
+// Function to clip drawing to the wedge through which an eye sees a reflection;
+// call it between push() and pop()
+function clipToVisibleWedge(reflection, eyePosition) {
+  const wedge = ReflectionEngine.getVisibleWedge(reflection, getScene(), eyePosition);
+  if (!wedge) return;
+  
+  // Reach past the far side of the image
+  const reach = 2 * (dist(eyePosition.x, eyePosition.y, reflection.x, reflection.y) + reflection.radius);
+  
+  beginClip();
+  arc(eyePosition.x, eyePosition.y, reach, reach, wedge.start, wedge.end, PIE);
+  endClip();
+}
+
+function drawGhostTargets() {
+  // Draw each target as a yellow ghost, outlined in green once it is matched
+  for (let i = 0; i < ghostTargets.length; i++) {
+    const target = ghostTargets[i];
+    const isMatched = targetMatches[i] && targetMatches[i].matched;
+    
+    fill(255, 255, 0, 150);
+    if (isMatched) {
+      stroke(0, 200, 0);
+      strokeWeight(3);
+    } else {
+      noStroke();
+    }
+    ellipse(target.x, target.y, target.radius * 2);
+  }
+}
+
+function drawImageTargets() {
+  // Draw the images a matchImages condition asks for as outlined circles,
+  // solid once a reflection covers them
+  noFill();
+  strokeWeight(2);
+  
+  for (let condition of getImageTargetConditions()) {
+    for (let match of matchImageTargets(condition)) {
+      const target = match.target;
+      
+      if (match.matched) {
+        stroke(0, 200, 0);
+      } else {
+        stroke(200, 170, 0);
+      }
+      ellipse(target.x, target.y, (target.radius || BALL_RADIUS) * 2);
+    }
   }
 }
 
 function drawEye() {
-  // Position the eye at the center bottom of the canvas
-  const eyeX = eyePosition.x - EYE_SIZE / 2;
-  const eyeY = eyePosition.y - EYE_SIZE / 2;
+  for (let i = 0; i < eyes.length; i++) {
+    const observer = eyes[i];
+    
+    // Eyes with a field of view show what they can see
+    if (observer.fov !== undefined) {
+      drawViewCone(observer, canTurnEye(i));
+    }
+    
+    // Draw the eye image, turned the way the eye looks (the image looks up)
+    push();
+    translate(observer.x, observer.y);
+    rotate(ReflectionEngine.getEyeDirection(observer) + HALF_PI);
+    image(eye, -EYE_SIZE / 2, -EYE_SIZE / 2, EYE_SIZE, EYE_SIZE);
+    pop();
+    
+    if (eyes.length > 1) {
+      // Ring the eye whose rays are shown
+      if (i === activeEyeIndex) {
+        noFill();
+        stroke(0, 120, 255);
+        strokeWeight(2);
+        ellipse(observer.x, observer.y, EYE_SIZE + 8);
+      }
+      
+      // Label each eye with its name and how many reflections it sees
+      const visibleCount = reflections.filter(reflection => isReflectionVisible(reflection, observer)).length;
+      fill(0);
+      noStroke();
+      textAlign(CENTER, BOTTOM);
+      textSize(14);
+      text(`${observer.label || observer.id}: ${visibleCount}`, observer.x, observer.y - EYE_SIZE / 2 - 6);
+    }
+  }
+}
+
+// Function to draw the translucent cone an eye sees through, and the handle
+// that turns it when the eye can be turned
+function drawViewCone(observer, turnable) {
+  const direction = ReflectionEngine.getEyeDirection(observer);
+  
+  noStroke();
+  fill(255, 235, 59, 70);
+  arc(observer.x, observer.y, VIEW_CONE_LENGTH * 2, VIEW_CONE_LENGTH * 2,
+      direction - observer.fov / 2, direction + observer.fov / 2, PIE);
+  
+  if (!turnable) return;
+  
+  const handle = getEyeHandle(observer);
+  fill(255);
+  stroke(0, 120, 255);
+  strokeWeight(2);
+  ellipse(handle.x, handle.y, 12, 12);
+}
+
+// Function to get where the handle that turns an eye sits, just in front of it
+function getEyeHandle(observer) {
+  const direction = ReflectionEngine.getEyeDirection(observer);
+  return {
+    x: observer.x + Math.cos(direction) * EYE_HANDLE_DISTANCE,
+    y: observer.y + Math.sin(direction) * EYE_HANDLE_DISTANCE
+  };
+}
+
+// Function to check whether the player may turn an eye: it needs a field of
+// view, and in a puzzle a constraint that lets it turn
+function canTurnEye(index) {
+  return eyes[index].fov !== undefined && isObjectMovable('eye', index) &&
+         PuzzleSolver.canRotate(getObjectConstraint('eye', index));
+}
+
+// Function to find the eye whose turning handle is under a point, or -1
+function findEyeHandleAt(px, py) {
+  for (let i = eyes.length - 1; i >= 0; i--) {
+    if (!canTurnEye(i)) continue;
+    
+    const handle = getEyeHandle(eyes[i]);
+    if (dist(px, py, handle.x, handle.y) < 10) return i;
+  }
+  
+  return -1;
+}
+
+// Function to draw the active eye's one-dimensional view in the strip under
+// the canvas. Each column is one direction, from the left edge of the eye's
+// view to the right: walls are gray, mirrors blue (reflective) or black, and
+// balls and reflections are bars as wide as they look from the eye.
+function drawPanorama() {
+  if (!panorama) return;
+  
+  panorama.background(240);
+  panorama.noStroke();
+  
+  const observer = getActiveEye();
+  if (!observer) return;
+  
+  const view = getPanoramaView(observer);
+  const columns = Math.ceil(panorama.width / PANORAMA_COLUMN_WIDTH);
+  const columnAngle = view.span / columns;
+  const sights = [];
+  
+  // What the eye looks at directly in each column
+  for (let c = 0; c < columns; c++) {
+    const sight = castSightLine(observer, view.start + (c + 0.5) * columnAngle);
+    sights.push(sight);
+    
+    if (sight.kind === 'obstacle') {
+      panorama.fill(90);
+      panorama.rect(c * PANORAMA_COLUMN_WIDTH, 0, PANORAMA_COLUMN_WIDTH, panorama.height);
+    } else if (sight.kind === 'mirror') {
+      panorama.fill(ReflectionEngine.reflectsFace(sight.object, sight.face) ? color(100, 200, 255) : color(0));
+      panorama.rect(c * PANORAMA_COLUMN_WIDTH, 0, PANORAMA_COLUMN_WIDTH, panorama.height);
+    } else if (sight.kind === 'ball') {
+      panorama.fill(sight.object.color);
+      drawPanoramaBar(c);
+    }
+    
+    // Half-silvered mirrors tint what lies behind them
+    for (let glass of sight.glass) {
+      panorama.fill(100, 200, 255, 120 * ReflectionEngine.getReflectivity(glass));
+      panorama.rect(c * PANORAMA_COLUMN_WIDTH, 0, PANORAMA_COLUMN_WIDTH, panorama.height);
+    }
+  }
+  
+  // Reflections in the mirrors they are seen in, nearer images in front
+  const seen = reflections
+    .map(reflection => ({
+      reflection: reflection,
+      wedge: ReflectionEngine.getVisibleWedge(reflection, getScene(), observer),
+      distance: dist(observer.x, observer.y, reflection.x, reflection.y)
+    }))
+    .filter(entry => entry.wedge)
+    .sort((a, b) => b.distance - a.distance);
+  
+  for (let { reflection, wedge, distance } of seen) {
+    const center = Math.atan2(reflection.y - observer.y, reflection.x - observer.x);
+    const halfWidth = Math.asin(Math.min(1, reflection.radius / distance));
+    const low = Math.max(center - halfWidth, wedge.start);
+    const high = Math.min(center + halfWidth, wedge.end);
+    if (low >= high) continue;
+    
+    const colorIndex = Math.min(reflection.depth, REFLECTION_COLORS.length - 1);
+    const reflectionColor = REFLECTION_COLORS[colorIndex];
+    panorama.fill(red(reflectionColor), green(reflectionColor), blue(reflectionColor),
+                  alpha(reflectionColor) * reflection.intensity);
+    
+    // Angle from the left edge of the view, brought back into it when the
+    // image sits just before the edge
+    let offset = ((low - view.start) % TWO_PI + TWO_PI) % TWO_PI;
+    if (offset > view.span && offset + (high - low) > TWO_PI) offset -= TWO_PI;
+    
+    const first = Math.max(0, Math.floor(offset / columnAngle));
+    const last = Math.ceil((offset + high - low) / columnAngle);
+    
+    for (let c = first; c < last; c++) {
+      // A full circle of view wraps around; a cone ends at its edge
+      const column = view.span >= TWO_PI ? c % columns : c;
+      if (column >= columns) break;
+      
+      // Only where nothing nearer stands in front of the mirror the image is in
+      const angle = view.start + (column + 0.5) * columnAngle;
+      const reach = width + height;
+      const entry = ReflectionEngine.mirrorIntersection(observer.x, observer.y,
+        observer.x + Math.cos(angle) * reach, observer.y + Math.sin(angle) * reach, reflection.sourceMirror);
+      if (!entry || sights[column].distance < dist(observer.x, observer.y, entry.x, entry.y) - 1) continue;
+      
+      drawPanoramaBar(column);
+    }
+  }
+  
+  // Mark the direction the eye looks in
+  panorama.fill(0, 120);
+  panorama.rect(panorama.width / 2 - 1, 0, 2, PANORAMA_INSET / 2);
+}
+
+// Function to fill one column of the panorama strip with a ball or
+// reflection, leaving a gap above and below where the surface behind shows
+function drawPanoramaBar(column) {
+  panorama.rect(column * PANORAMA_COLUMN_WIDTH, PANORAMA_INSET,
+                PANORAMA_COLUMN_WIDTH, panorama.height - 2 * PANORAMA_INSET);
+}
+
+// Function to get the directions the panorama strip spans for an eye: its
+// view cone, or all around it centered on the way it looks
+function getPanoramaView(observer) {
+  const span = observer.fov !== undefined ? Math.min(observer.fov, TWO_PI) : TWO_PI;
+  return {
+    start: ReflectionEngine.getEyeDirection(observer) - span / 2,
+    span: span
+  };
+}
+
+// Function to find what an eye looks at first in one direction: the nearest
+// ball, wall or opaque mirror, with the half-silvered mirrors in front of it
+function castSightLine(observer, angle) {
+  const direction = { x: Math.cos(angle), y: Math.sin(angle) };
+  const reach = width + height;
+  const endX = observer.x + direction.x * reach;
+  const endY = observer.y + direction.y * reach;
+  const sight = { kind: null, object: null, face: null, distance: Infinity, glass: [] };
+  const glassHits = [];
+  
+  for (let ball of balls) {
+    // Distance along the line to the ball's near side, if the line passes through it
+    const along = (ball.x - observer.x) * direction.x + (ball.y - observer.y) * direction.y;
+    const across = (ball.y - observer.y) * direction.x - (ball.x - observer.x) * direction.y;
+    if (along <= 0 || Math.abs(across) >= ball.radius) continue;
+    
+    const ballDistance = along - Math.sqrt(ball.radius * ball.radius - across * across);
+    if (ballDistance < sight.distance) {
+      Object.assign(sight, { kind: 'ball', object: ball, face: null, distance: ballDistance });
+    }
+  }
+  
+  for (let obstacle of obstacles) {
+    const point = ReflectionEngine.obstacleIntersection(observer.x, observer.y, endX, endY, obstacle);
+    if (!point) continue;
+    
+    const obstacleDistance = dist(observer.x, observer.y, point.x, point.y);
+    if (obstacleDistance < sight.distance) {
+      Object.assign(sight, { kind: 'obstacle', object: obstacle, face: null, distance: obstacleDistance });
+    }
+  }
+  
+  for (let mirror of mirrors) {
+    const point = ReflectionEngine.mirrorIntersection(observer.x, observer.y, endX, endY, mirror);
+    if (!point) continue;
+    
+    const mirrorDistance = dist(observer.x, observer.y, point.x, point.y);
+    if (ReflectionEngine.getReflectivity(mirror) < 1) {
+      glassHits.push({ mirror: mirror, distance: mirrorDistance });
+      continue;
+    }
+    
+    if (mirrorDistance < sight.distance) {
+      // The face the eye looks at is the one the normal points towards the eye from
+      const normal = ReflectionEngine.getMirrorNormalAt(mirror, point);
+      const facing = (observer.x - point.x) * normal.x + (observer.y - point.y) * normal.y;
+      Object.assign(sight, {
+        kind: 'mirror',
+        object: mirror,
+        face: facing > 0 ? 'front' : 'back',
+        distance: mirrorDistance
+      });
+    }
+  }
+  
+  sight.glass = glassHits
+    .filter(hit => hit.distance < sight.distance)
+    .map(hit => hit.mirror);
+  
+  return sight;
+}
+
+// Function to draw the guides of a puzzle's constrained objects, and a lock
+// next to the mouse when it is over an object the puzzle doesn't let move
+function drawConstraints() {
+  if (!isPuzzleMode || !currentPuzzle) return;
+  
+  for (let [kind, list] of getObjectLists()) {
+    list.forEach((object, index) => drawConstraintGuide(getObjectConstraint(kind, index), kind, object));
+  }
   
-  // Draw the eye image
-  image(eye, eyeX, eyeY, EYE_SIZE, EYE_SIZE);
+  const hovered = findObjectAt(mouseX, mouseY);
+  if (hovered && !isObjectMovable(hovered.kind, hovered.index)) {
+    drawLockIcon(mouseX + 16, mouseY - 16);
+  }
+}
+
+// Function to draw where a constraint lets an object go: its axis, path or
+// region as dashed lines, or the circle a rotate-only mirror turns in
+function drawConstraintGuide(constraint, kind, object) {
+  const guideColor = color(255, 152, 0, 180);
+  strokeWeight(2);
+  noFill();
+  
+  if (constraint.type === 'axis') {
+    drawDashedLine(constraint.x1, constraint.y1, constraint.x2, constraint.y2, guideColor, 8, 6);
+  } else if (constraint.type === 'path') {
+    for (let i = 0; i < constraint.points.length - 1; i++) {
+      const start = constraint.points[i];
+      const end = constraint.points[i + 1];
+      drawDashedLine(start.x, start.y, end.x, end.y, guideColor, 8, 6);
+    }
+  } else if (constraint.type === 'region') {
+    const right = constraint.x + constraint.width;
+    const bottom = constraint.y + constraint.height;
+    drawDashedLine(constraint.x, constraint.y, right, constraint.y, guideColor, 8, 6);
+    drawDashedLine(right, constraint.y, right, bottom, guideColor, 8, 6);
+    drawDashedLine(constraint.x, bottom, right, bottom, guideColor, 8, 6);
+    drawDashedLine(constraint.x, constraint.y, constraint.x, bottom, guideColor, 8, 6);
+  } else if (constraint.type === 'rotate' && kind === 'mirrors') {
+    const midpoint = getMirrorMidpoint(object);
+    const end = object.type === 'arc' ? ReflectionEngine.arcPoint(object, object.startAngle) : { x: object.x1, y: object.y1 };
+    stroke(guideColor);
+    ellipse(midpoint.x, midpoint.y, dist(midpoint.x, midpoint.y, end.x, end.y) * 2);
+  }
+}
+
+// Function to draw a small padlock centered on a point
+function drawLockIcon(x, y) {
+  // Shackle
+  noFill();
+  stroke(80);
+  strokeWeight(2);
+  arc(x, y - 3, 10, 12, PI, TWO_PI);
+  line(x - 5, y - 3, x - 5, y);
+  line(x + 5, y - 3, x + 5, y);
+  
+  // Body
+  fill(255, 193, 7);
+  rect(x - 7, y, 14, 10, 2);
 }
 
 function drawRayPaths() {
@@ -529,18 +1188,21 @@ function drawRayPaths() {
   // Ensure the currentRayIndex is within bounds
   currentRayIndex = constrain(currentRayIndex, 0, reflections.length - 1);
   
+  // Rays are traced to the selected eye
+  const eyePosition = getActiveEye();
+  
   // Get the current reflection to display
   const reflection = reflections[currentRayIndex];
   
-  // Only show the ray if the reflection is visible
-  if (!isReflectionVisible(reflection)) {
+  // Only show the ray if the reflection is visible from that eye
+  if (!isReflectionVisible(reflection, eyePosition)) {
     // Try to find another visible reflection
     let found = false;
     let startIndex = currentRayIndex;
     
     for (let i = 0; i < reflections.length; i++) {
       currentRayIndex = (startIndex + i) % reflections.length;
-      if (isReflectionVisible(reflections[currentRayIndex])) {
+      if (isReflectionVisible(reflections[currentRayIndex], eyePosition)) {
         found = true;
         break;
       }
@@ -553,199 +1215,153 @@ function drawRayPaths() {
   // Get the current reflection after potential adjustment
   const currentReflection = reflections[currentRayIndex];
   
+  // Trace the real light path; there is nothing to draw if the light can't get through
+  const rayPath = traceSingleRayPath(currentReflection, eyePosition);
+  if (rayPath.physical.length === 0) return;
+  
   // Get color based on reflection depth, default to the last color if beyond our defined colors
   const colorIndex = Math.min(currentReflection.depth, REFLECTION_COLORS.length - 1);
-  let strokeColor = REFLECTION_COLORS[colorIndex];
+  drawTracedRay(rayPath, REFLECTION_COLORS[colorIndex], 3, true);
+  
+  // Display information about the current reflection
+  fill(0);
+  noStroke();
+  textAlign(LEFT, TOP);
+  textSize(16);
+  let orderText = "1st";
+  if (currentReflection.depth === 2) orderText = "2nd";
+  if (currentReflection.depth === 3) orderText = "3rd";
+  if (currentReflection.depth > 3) orderText = currentReflection.depth + "th";
   
-  // Prepare stroke settings
+  let rayText = orderText + " order reflection (" + (currentRayIndex + 1) + " of " + reflections.length + ")";
+  if (eyes.length > 1) rayText += " seen from " + (eyePosition.label || eyePosition.id);
+  text(rayText, 20, 20);
+}
+
+// Helper function to draw a path from traceSingleRayPath: solid lines along the
+// path the light takes and, with showImages, dashed lines out to the images
+// and white dots at the hit points
+function drawTracedRay(rayPath, strokeColor, weight, showImages) {
   stroke(strokeColor);
-  strokeWeight(3);
+  strokeWeight(weight);
   noFill();
   
-  // SPECIAL CASE: First-order reflection (single mirror)
-  if (currentReflection.depth === 1) {
-    const mirror = currentReflection.sourceMirror;
-    
-    // 1. Draw line from eye to virtual image
-    // Find where this line intersects the mirror
-    const hitPoint = lineIntersection(
-      eyePosition.x, eyePosition.y,
-      currentReflection.x, currentReflection.y,
-      mirror.x1, mirror.y1,
-      mirror.x2, mirror.y2
-    );
-    
-    if (hitPoint) {
-      // Draw solid line from eye to hit point
-      line(eyePosition.x, eyePosition.y, hitPoint.x, hitPoint.y);
+  // Ball, every hit point, eye
+  const physical = rayPath.physical;
+  for (let i = 1; i < physical.length; i++) {
+    line(physical[i - 1].x, physical[i - 1].y, physical[i].x, physical[i].y);
+  }
   
-      // Draw dashed line from hit point to virtual image
-      drawDashedLine(
-        hitPoint.x, hitPoint.y,
-        currentReflection.x, currentReflection.y,
-        strokeColor, 5, 5
-      );
-      
-      // Draw solid line from hit point to ball
-      line(hitPoint.x, hitPoint.y, ball.x, ball.y);
-      
-      // Draw hit point
+  if (!showImages) return;
+  
+  // Draw dashed lines from each hit point to the image the light appears to come from
+  for (let virtual of rayPath.virtuals) {
+    drawDashedLine(virtual[0].x, virtual[0].y, virtual[1].x, virtual[1].y, strokeColor, 5, 5);
+  }
+  
+  // Draw white dots at all hit points
   fill(255);
   noStroke();
-      ellipse(hitPoint.x, hitPoint.y, 8, 8);
-    }
+  for (let i = 1; i < physical.length - 1; i++) {
+    ellipse(physical[i].x, physical[i].y, 8, 8);
+  }
+}
+
+// Function to draw the ray paths of all reflections the selected eye sees at
+// once, faint and in their order's color. The orders and mirrors unticked in
+// the legend are left out, and hovering over an image brings out its path.
+function drawAllRayPaths() {
+  const shown = getAllRayPaths().filter(isRayPathShown);
+  const hovered = shown.find(entry =>
+    dist(mouseX, mouseY, entry.reflection.x, entry.reflection.y) < entry.reflection.radius);
+  
+  for (let entry of shown) {
+    if (entry === hovered) continue;
     
-    // Done with first-order
-    return;
+    const colorIndex = Math.min(entry.reflection.depth, REFLECTION_COLORS.length - 1);
+    const orderColor = REFLECTION_COLORS[colorIndex];
+    drawTracedRay(entry.rayPath, color(red(orderColor), green(orderColor), blue(orderColor), hovered ? 40 : 110), 2, false);
   }
   
-  // GENERAL CASE: Higher-order reflections (multiple mirrors)
-  // Build the complete chain of reflections
-  const reflectionChain = [];
-  let current = currentReflection;
-  
-  while (current) {
-    reflectionChain.push(current);
-    current = current.parentReflection;
+  if (hovered) {
+    const colorIndex = Math.min(hovered.reflection.depth, REFLECTION_COLORS.length - 1);
+    drawTracedRay(hovered.rayPath, REFLECTION_COLORS[colorIndex], 3, true);
+  }
+}
+
+// Function to trace the light of every reflection the selected eye sees, as
+// { reflection, rayPath, mirrors } with the mirrors it bounces off
+function getAllRayPaths() {
+  const eyePosition = getActiveEye();
+  
+  // Only reflections that eye sees have a path to it
+  return reflections
+    .filter(reflection => isReflectionVisible(reflection, eyePosition))
+    .map(reflection => ({
+      reflection: reflection,
+      rayPath: traceSingleRayPath(reflection, eyePosition),
+      mirrors: buildReflectionChain(reflection).map(node => node.sourceMirror)
+    }))
+    .filter(entry => entry.rayPath.physical.length > 0);
+}
+
+// Function to check whether the legend lets a ray path show: its order and
+// every mirror it bounces off must be ticked
+function isRayPathShown(entry) {
+  return !hiddenRayOrders.has(entry.reflection.depth) &&
+         entry.mirrors.every(mirror => !hiddenRayMirrors.has(mirror));
+}
+
+// Function to show the all-rays legend while the overlay is on, with a
+// checkbox for each reflection order in the scene and for each mirror
+function updateRayLegend() {
+  const legend = document.getElementById('rayLegend');
+  if (!legend) return;
+  
+  legend.style.display = showAllRays ? 'flex' : 'none';
+  if (!showAllRays) return;
+  
+  // Forget mirrors that no longer exist (deleted, undone or replaced by an import)
+  for (let mirror of hiddenRayMirrors) {
+    if (!mirrors.includes(mirror)) hiddenRayMirrors.delete(mirror);
   }
   
-  // Reverse to order from ball to eye
-  reflectionChain.reverse();
-    
-  // Collect hit points and virtual images
-  const hitPoints = [];
-  
-  // STEP 1: Start from the eye, find the first hit point
-  const lastMirror = reflectionChain[reflectionChain.length - 1].sourceMirror;
-  const lastVirtualImage = reflectionChain[reflectionChain.length - 1];
-  
-  // Find where line from eye to virtual image hits the mirror
-  const firstHitPoint = lineIntersection(
-    eyePosition.x, eyePosition.y,
-    lastVirtualImage.x, lastVirtualImage.y,
-    lastMirror.x1, lastMirror.y1,
-    lastMirror.x2, lastMirror.y2
-  );
-  
-  if (!firstHitPoint) return; // Can't find first hit point, exit
-  
-  // Add the first hit point
-  hitPoints.push(firstHitPoint);
-  
-  // Draw solid line: eye to first hit point
-  line(eyePosition.x, eyePosition.y, firstHitPoint.x, firstHitPoint.y);
-  
-  // Draw dashed line: first hit point to virtual image
-  drawDashedLine(
-    firstHitPoint.x, firstHitPoint.y,
-    lastVirtualImage.x, lastVirtualImage.y,
-    strokeColor, 5, 5
-  );
-  
-  // STEP 2: For each reflection in the chain (working backwards)
-  // Find the hit point on its mirror and draw appropriate lines
-  let previousHitPoint = firstHitPoint;
-  
-  for (let i = reflectionChain.length - 2; i >= 0; i--) {
-    const currentReflectionInChain = reflectionChain[i];
-    const currentMirror = currentReflectionInChain.sourceMirror;
-    
-    // Find where line from previous hit point to this reflection's virtual image 
-    // intersects with this mirror
-    const hitPoint = lineIntersection(
-      previousHitPoint.x, previousHitPoint.y,
-      currentReflectionInChain.x, currentReflectionInChain.y,
-      currentMirror.x1, currentMirror.y1,
-      currentMirror.x2, currentMirror.y2
-    );
+  // Rebuild the checkboxes only when the orders or mirrors change, so they keep focus
+  const orders = [...new Set(reflections.map(reflection => reflection.depth))].sort((a, b) => a - b);
+  const key = `${orders.join(',')}|${mirrors.length}`;
+  if (key !== rayLegendKey) {
+    rayLegendKey = key;
     
-    if (!hitPoint) continue; // Skip if can't find hit point
-    
-    // Add this hit point
-    hitPoints.push(hitPoint);
-    
-    // Draw solid line: previous hit point to this hit point
-    line(previousHitPoint.x, previousHitPoint.y, hitPoint.x, hitPoint.y);
-    
-    // Draw dashed line: this hit point to virtual image
-    drawDashedLine(
-      hitPoint.x, hitPoint.y,
-      currentReflectionInChain.x, currentReflectionInChain.y,
-      strokeColor, 5, 5
-    );
+    const orderBoxes = orders.map(order => {
+      const orderColor = REFLECTION_COLORS[Math.min(order, REFLECTION_COLORS.length - 1)];
+      return `<label><input type="checkbox" data-order="${order}">` +
+             `<span class="ray-swatch" style="background: ${orderColor.toString()}"></span>${order}</label>`;
+    });
+    const mirrorBoxes = mirrors.map((mirror, i) =>
+      `<label><input type="checkbox" data-mirror="${i}"> ${i + 1}</label>`);
+    legend.innerHTML = `<strong>Orders</strong>${orderBoxes.join('')}<strong>Mirrors</strong>${mirrorBoxes.join('')}`;
     
-    // Update previous hit point for next iteration
-    previousHitPoint = hitPoint;
-  }
-  
-  // Finally, draw line from last hit point to ball
-  if (hitPoints.length > 0) {
-    line(hitPoints[hitPoints.length - 1].x, hitPoints[hitPoints.length - 1].y, ball.x, ball.y);
-  }
-  
-  // Draw white dots at all hit points
-  fill(255);
-  noStroke();
-  for (const hp of hitPoints) {
-    ellipse(hp.x, hp.y, 8, 8);
+    legend.querySelectorAll('input[data-order]').forEach(box => {
+      box.onchange = () => {
+        const order = Number(box.dataset.order);
+        if (box.checked) hiddenRayOrders.delete(order); else hiddenRayOrders.add(order);
+      };
+    });
+    legend.querySelectorAll('input[data-mirror]').forEach(box => {
+      box.onchange = () => {
+        const mirror = mirrors[Number(box.dataset.mirror)];
+        if (box.checked) hiddenRayMirrors.delete(mirror); else hiddenRayMirrors.add(mirror);
+      };
+    });
   }
   
-  // Display information about the current reflection
-  fill(0);
-  noStroke();
-  textAlign(LEFT, TOP);
-  textSize(16);
-  let orderText = "1st";
-  if (currentReflection.depth === 2) orderText = "2nd";
-  if (currentReflection.depth === 3) orderText = "3rd";
-  if (currentReflection.depth > 3) orderText = currentReflection.depth + "th";
-  
-  text(orderText + " order reflection (" + (currentRayIndex + 1) + " of " + reflections.length + ")", 20, 20);
-}
-
-// Helper function to find a hit point on a mirror that obeys the law of reflection
-function findHitPoint(source, destination, virtualImage, mirror) {
-  // First, try the intersection of source-virtualImage line with the mirror
-  // This is the correct hit point for simple first-order reflections
-  const hitPoint = lineIntersection(
-    source.x, source.y,
-    virtualImage.x, virtualImage.y,
-    mirror.x1, mirror.y1,
-    mirror.x2, mirror.y2
-  );
-  
-  if (hitPoint) return hitPoint;
-  
-  // Second approach: try line from eye to virtual image
-  const hitPoint2 = lineIntersection(
-    eyePosition.x, eyePosition.y,
-    virtualImage.x, virtualImage.y,
-    mirror.x1, mirror.y1,
-    mirror.x2, mirror.y2
-  );
-  
-  if (hitPoint2) return hitPoint2;
-  
-  // Third approach: try source-destination midpoint to virtual image
-  const midpoint = {
-    x: (source.x + destination.x) / 2,
-    y: (source.y + destination.y) / 2
-  };
-  
-  const hitPoint3 = lineIntersection(
-    midpoint.x, midpoint.y,
-    virtualImage.x, virtualImage.y,
-    mirror.x1, mirror.y1,
-    mirror.x2, mirror.y2
-  );
-  
-  if (hitPoint3) return hitPoint3;
-  
-  // Last resort: just return a point on the mirror
-  return {
-    x: (mirror.x1 + mirror.x2) / 2,
-    y: (mirror.y1 + mirror.y2) / 2
-  };
+  // Tick what isn't hidden, also for boxes that outlived a change of mirrors
+  legend.querySelectorAll('input[data-order]').forEach(box => {
+    box.checked = !hiddenRayOrders.has(Number(box.dataset.order));
+  });
+  legend.querySelectorAll('input[data-mirror]').forEach(box => {
+    box.checked = !hiddenRayMirrors.has(mirrors[Number(box.dataset.mirror)]);
+  });
 }
 
 // Helper function to build the reflection chain from eye to ball
@@ -762,27 +1378,6 @@ function buildReflectionChain(reflection) {
   return chain.reverse();
 }
 
-// Helper function to create a virtual image of a point reflected in a mirror
-function createVirtualImage(point, mirror) {
-  // Get the mirror normal
-  const mirrorNormal = mirror.normal;
-  
-  // Calculate the reflection of the point
-  const pointToMirrorVec = {
-    x: point.x - mirror.x1,
-    y: point.y - mirror.y1
-  };
-  
-  // Project the vector onto the normal to get the displacement from the mirror
-  const normalDistance = dotProduct(pointToMirrorVec, mirrorNormal);
-  
-  // Reflect the point across the mirror by moving it twice the distance in the normal direction
-  return {
-    x: point.x - 2 * normalDistance * mirrorNormal.x,
-    y: point.y - 2 * normalDistance * mirrorNormal.y
-  };
-}
-
 // Helper function to draw a dashed line
 function drawDashedLine(x1, y1, x2, y2, strokeColor, dashLength, gapLength) {
   const dx = x2 - x1;
@@ -813,266 +1408,36 @@ function drawDashedLine(x1, y1, x2, y2, strokeColor, dashLength, gapLength) {
   }
 }
 
-// Function to trace a single ray path from the ball to the eye via reflections
-function traceSingleRayPath(reflection) {
-  let physicalPath = [];
-  let virtualPaths = []; // Array to store multiple virtual paths for each reflection
+// Function to trace a single ray path from the ball to the eye via reflections.
+// The hit points come from the reflection engine's path tracer, so the path is
+// one the light really takes; both lists are empty when there is none.
+function traceSingleRayPath(reflection, eyePosition) {
+  eyePosition = eyePosition || getActiveEye();
+  const physicalPath = [];
+  const virtualPaths = []; // One dashed line per hit point, out to its virtual image
   
-  // For first-order reflections, we use a direct approach:
-  if (!reflection.parentReflection) {
-    // 1. Get the mirror
-    const mirror = reflection.sourceMirror;
-    
-    // 2. Calculate the mirror normal vector
-    const mirrorVec = {
-      x: mirror.x2 - mirror.x1,
-      y: mirror.y2 - mirror.y1
-    };
-    const mirrorLength = Math.sqrt(mirrorVec.x * mirrorVec.x + mirrorVec.y * mirrorVec.y);
-    const normal = {
-      x: -mirrorVec.y / mirrorLength,
-      y: mirrorVec.x / mirrorLength
-    };
-    
-    // 3. Calculate the virtual image of the ball across the mirror
-    const ballToMirrorX = ball.x - mirror.x1;
-    const ballToMirrorY = ball.y - mirror.y1;
-    const ballDotProduct = ballToMirrorX * normal.x + ballToMirrorY * normal.y;
-    
-    const virtualBall = {
-      x: ball.x - 2 * ballDotProduct * normal.x,
-      y: ball.y - 2 * ballDotProduct * normal.y
-    };
-    
-    // 4. Find where the line from eye to virtual ball intersects the mirror
-    const hitPoint = lineIntersection(
-      eyePosition.x, eyePosition.y,
-      virtualBall.x, virtualBall.y,
-      mirror.x1, mirror.y1,
-      mirror.x2, mirror.y2
-    );
-    
-    if (hitPoint) {
-      // 5. Construct the physical path: ball → hit point → eye
-      physicalPath.push({ x: ball.x, y: ball.y, type: 'solid' });
-      physicalPath.push({ x: hitPoint.x, y: hitPoint.y, type: 'solid' });
-      physicalPath.push({ x: eyePosition.x, y: eyePosition.y, type: 'solid' });
-      
-      // 6. Construct the virtual path: hit point → virtual ball (dashed)
-      virtualPaths.push([
-        { x: hitPoint.x, y: hitPoint.y, type: 'solid' },
-        { x: virtualBall.x, y: virtualBall.y, type: 'dashed' }
-      ]);
-    }
-  }
-  // For higher-order reflections, we need to trace the entire path
-  else {
-    // Get the chain of reflections
-  let reflectionChain = [];
-  let currentReflection = reflection;
+  const path = ReflectionEngine.traceReflectionPath(reflection, getScene(), eyePosition);
+  if (!path) return { physical: physicalPath, virtuals: virtualPaths };
   
-  while (currentReflection) {
-    reflectionChain.push(currentReflection);
-    currentReflection = currentReflection.parentReflection;
-  }
+  // The chain of images runs from the ball to the eye, like the hit points
+  const reflectionChain = buildReflectionChain(reflection);
+  const ball = reflection.sourceBall;
   
-    // Reverse the chain to go from ball to eye
-    reflectionChain.reverse();
-    
-    // Calculate all physical hit points and virtual images
-    let hitPoints = [];
-    let virtualImages = [];
-    
-    // Start with the ball
-    let lastPoint = { x: ball.x, y: ball.y };
-    virtualImages.push(lastPoint);
-    
-    // Process each mirror in sequence
-  for (let i = 0; i < reflectionChain.length; i++) {
-      const mirror = reflectionChain[i].sourceMirror;
-      
-      // Calculate normal to this mirror
-      const mirrorVec = {
-        x: mirror.x2 - mirror.x1,
-        y: mirror.y2 - mirror.y1
-      };
-      const mirrorLength = Math.sqrt(mirrorVec.x * mirrorVec.x + mirrorVec.y * mirrorVec.y);
-      const normal = {
-        x: -mirrorVec.y / mirrorLength,
-        y: mirrorVec.x / mirrorLength
-      };
-    
-      // For first mirror in chain, find hit point using ball and eye
-      let hitPoint;
-      
-      if (i === 0) {
-        // First mirror - find intersection between ball-mirror-eye
-        // Calculate virtual image of ball in this mirror
-        const objToMirrorX = lastPoint.x - mirror.x1;
-        const objToMirrorY = lastPoint.y - mirror.y1;
-        const dotProduct = objToMirrorX * normal.x + objToMirrorY * normal.y;
-        
-        const virtualImage = {
-          x: lastPoint.x - 2 * dotProduct * normal.x,
-          y: lastPoint.y - 2 * dotProduct * normal.y
-        };
-        
-        virtualImages.push(virtualImage);
-        
-        // Find where line from next point to virtual image intersects mirror
-        if (reflectionChain.length === 1) {
-          // Only one mirror - next point is eye
-          hitPoint = lineIntersection(
-            eyePosition.x, eyePosition.y,
-            virtualImage.x, virtualImage.y,
-    mirror.x1, mirror.y1, 
-    mirror.x2, mirror.y2
-  );
-        } else {
-          // More mirrors - need to find next mirror's hit point first
-          // (we'll do this later in a second pass)
-          hitPoint = createPointOnMirror(mirror, 0.5); // Temporary point on mirror
-        }
-      } else {
-        // Not first mirror - use previous hit point and next point
-        // Calculate virtual image of previous hit point in this mirror
-        const objToMirrorX = lastPoint.x - mirror.x1;
-        const objToMirrorY = lastPoint.y - mirror.y1;
-        const dotProduct = objToMirrorX * normal.x + objToMirrorY * normal.y;
-        
-        const virtualImage = {
-          x: lastPoint.x - 2 * dotProduct * normal.x,
-          y: lastPoint.y - 2 * dotProduct * normal.y
-        };
-        
-        virtualImages.push(virtualImage);
-        
-        // Find where line from next point to virtual image intersects mirror
-    if (i === reflectionChain.length - 1) {
-          // Last mirror - next point is eye
-          hitPoint = lineIntersection(
-            eyePosition.x, eyePosition.y,
-            virtualImage.x, virtualImage.y,
-            mirror.x1, mirror.y1,
-            mirror.x2, mirror.y2
-          );
-        } else {
-          // More mirrors - need to find next mirror's hit point first
-          // (we'll do this later in a second pass)
-          hitPoint = createPointOnMirror(mirror, 0.5); // Temporary point on mirror
-        }
-      }
-      
-      if (hitPoint) {
-        hitPoints.push(hitPoint);
-        lastPoint = hitPoint;
-      } else {
-        break; // Error - can't find hit point
-      }
-    }
+  physicalPath.push({ x: ball.x, y: ball.y, type: 'solid' });
+  
+  path.hitPoints.forEach((hitPoint, i) => {
+    physicalPath.push({ x: hitPoint.x, y: hitPoint.y, type: 'solid' });
     
-    // Second pass - fix all hit points starting from the eye
-    if (hitPoints.length === reflectionChain.length) {
-      // Start with the last hit point (already correctly placed near eye)
-      let currentPoint = hitPoints[hitPoints.length - 1];
-      
-      // Work backwards from second-to-last hit point
-      for (let i = reflectionChain.length - 2; i >= 0; i--) {
-        const mirror = reflectionChain[i + 1].sourceMirror;
-        const prevMirror = reflectionChain[i].sourceMirror;
-        
-        // Calculate virtual image of current hit point in previous mirror
-        const normal = mirrorNormal(prevMirror);
-        
-        const pointToMirrorX = currentPoint.x - prevMirror.x1;
-        const pointToMirrorY = currentPoint.y - prevMirror.y1;
-        const dotProduct = pointToMirrorX * normal.x + pointToMirrorY * normal.y;
-        
-        const virtualPoint = {
-          x: currentPoint.x - 2 * dotProduct * normal.x,
-          y: currentPoint.y - 2 * dotProduct * normal.y
-        };
-        
-        // Find where line from virtual point to previous point intersects mirror
-        const prevHitPoint = lineIntersection(
-          virtualPoint.x, virtualPoint.y,
-          i === 0 ? ball.x : hitPoints[i - 1].x,
-          i === 0 ? ball.y : hitPoints[i - 1].y,
-          prevMirror.x1, prevMirror.y1,
-          prevMirror.x2, prevMirror.y2
-        );
-        
-        if (prevHitPoint) {
-          hitPoints[i] = prevHitPoint;
-          currentPoint = prevHitPoint;
-        } else {
-          break; // Error - can't find hit point
-        }
-      }
-      
-      // Create the physical path
-      physicalPath.push({ x: ball.x, y: ball.y, type: 'solid' });
-      
-      for (const hitPoint of hitPoints) {
-        physicalPath.push({ x: hitPoint.x, y: hitPoint.y, type: 'solid' });
-      }
-      
-      physicalPath.push({ x: eyePosition.x, y: eyePosition.y, type: 'solid' });
-      
-      // Create virtual paths for each hit point
-      // First mirror
-      virtualPaths.push([
-        { x: hitPoints[0].x, y: hitPoints[0].y, type: 'solid' },
-        { x: virtualImages[1].x, y: virtualImages[1].y, type: 'dashed' }
-      ]);
-      
-      // Additional mirrors
-      for (let i = 1; i < hitPoints.length; i++) {
-        const mirror = reflectionChain[i].sourceMirror;
-        const normal = mirrorNormal(mirror);
-        
-        // Calculate the virtual image of the previous hit point through this mirror
-        const prevPoint = hitPoints[i-1];
-        const prevToMirrorX = prevPoint.x - mirror.x1;
-        const prevToMirrorY = prevPoint.y - mirror.y1;
-        const dotProduct = prevToMirrorX * normal.x + prevToMirrorY * normal.y;
-        
-        const virtualImage = {
-          x: prevPoint.x - 2 * dotProduct * normal.x,
-          y: prevPoint.y - 2 * dotProduct * normal.y
-        };
-        
-        virtualPaths.push([
-          { x: hitPoints[i].x, y: hitPoints[i].y, type: 'solid' },
-          { x: virtualImage.x, y: virtualImage.y, type: 'dashed' }
-        ]);
-      }
-    }
-  }
+    // Seen from the eye's side, the light leaving this mirror comes from its image
+    virtualPaths.push([
+      { x: hitPoint.x, y: hitPoint.y, type: 'solid' },
+      { x: reflectionChain[i].x, y: reflectionChain[i].y, type: 'dashed' }
+    ]);
+  });
   
-  return { physical: physicalPath, virtuals: virtualPaths };
-}
-
-// Helper function to create a point on a mirror at given t (0-1)
-function createPointOnMirror(mirror, t) {
-  return {
-    x: mirror.x1 + t * (mirror.x2 - mirror.x1),
-    y: mirror.y1 + t * (mirror.y2 - mirror.y1)
-  };
-}
-
-// Helper function to get a mirror's normal vector
-function mirrorNormal(mirror) {
-  const mirrorVec = {
-    x: mirror.x2 - mirror.x1,
-    y: mirror.y2 - mirror.y1
-  };
-  const mirrorLength = Math.sqrt(mirrorVec.x * mirrorVec.x + mirrorVec.y * mirrorVec.y);
+  physicalPath.push({ x: eyePosition.x, y: eyePosition.y, type: 'solid' });
   
-  return {
-    x: -mirrorVec.y / mirrorLength,
-    y: mirrorVec.x / mirrorLength
-  };
+  return { physical: physicalPath, virtuals: virtualPaths };
 }
 
 // Helper function to check if a point lies on a line segment
@@ -1088,327 +1453,37 @@ function isPointOnLineSegment(px, py, x1, y1, x2, y2) {
   return Math.abs(d1 + d2 - lineLength) < epsilon;
 }
 
-// Improved function to check if a reflection is visible from current eye position
-function isReflectionVisible(reflection) {
-  // First check if the reflection is within the canvas bounds
-  if (reflection.x - reflection.radius < 0 || 
-      reflection.x + reflection.radius > width ||
-      reflection.y - reflection.radius < 0 || 
-      reflection.y + reflection.radius > height) {
-    // Reflection is outside or partially outside the canvas
-    return false;
-  }
-  
-  // Get the source mirror that created this reflection
-  const mirror = reflection.sourceMirror;
-  const mirrorNormal = mirror.normal;
-  
-  // Get the source object (either the original ball or the parent reflection)
-  const sourceObject = reflection.parentReflection || ball;
-  
-  // PART 1: Check if the eye can see the reflection through the mirror
-  
-  // Create a line from eye to reflection
-  const eye = eyePosition;
-  
-  // Find intersection of eye-to-reflection line with the mirror
-  const eyeToMirrorIntersection = lineIntersection(
-    eye.x, eye.y,
-    reflection.x, reflection.y,
-    mirror.x1, mirror.y1,
-    mirror.x2, mirror.y2
-  );
-  
-  // If no intersection, the reflection is not visible
-  if (!eyeToMirrorIntersection) return false;
-  
-  // Check if the intersection point is within the mirror segment
-  const mirrorLength = dist(mirror.x1, mirror.y1, mirror.x2, mirror.y2);
-  const dist1 = dist(eyeToMirrorIntersection.x, eyeToMirrorIntersection.y, mirror.x1, mirror.y1);
-  const dist2 = dist(eyeToMirrorIntersection.x, eyeToMirrorIntersection.y, mirror.x2, mirror.y2);
-  
-  // Allow for a small margin of error due to floating point
-  const epsilon = 0.001;
-  if (dist1 + dist2 > mirrorLength * (1 + epsilon)) {
-    return false;
-  }
-  
-  // Calculate the direction from eye to intersection
-  const eyeToIntersection = {
-    x: eyeToMirrorIntersection.x - eye.x,
-    y: eyeToMirrorIntersection.y - eye.y
-  };
-  
-  // When dot product of normal and eyeToIntersection is negative,
-  // the eye is looking at the blue side of the mirror first
-  const lookingAtBlueSideFirst = dotProduct(mirrorNormal, eyeToIntersection) < 0;
-  
-  // If not looking at the blue side first, reflection is not visible
-  if (!lookingAtBlueSideFirst) return false;
-  
-  // Check if the ray passes through the mirror FIRST before reaching the reflection
-  // Calculate the distance from eye to intersection and from eye to reflection
-  const distToIntersection = Math.sqrt(
-    eyeToIntersection.x * eyeToIntersection.x + 
-    eyeToIntersection.y * eyeToIntersection.y
-  );
-  
-  const eyeToReflection = {
-    x: reflection.x - eye.x,
-    y: reflection.y - eye.y
+// Describe the current game state as a scene for the reflection engine
+function getScene() {
+  return {
+    balls: balls,
+    eyes: eyes,
+    mirrors: mirrors,
+    obstacles: obstacles,
+    bounds: { width: width, height: height }
   };
-  
-  const distToReflection = Math.sqrt(
-    eyeToReflection.x * eyeToReflection.x + 
-    eyeToReflection.y * eyeToReflection.y
-  );
-  
-  // The ray should hit the mirror first, then the reflection
-  const intersectsBeforeReflection = distToIntersection < distToReflection;
-  
-  if (!intersectsBeforeReflection) return false;
-  
-  // Check if there are any obstructions between eye and mirror intersection
-  for (let otherMirror of mirrors) {
-    // Skip the mirror we're testing for
-    if (otherMirror === mirror) continue;
-    
-    // Check if the ray from eye to intersection crosses this other mirror
-    const blockingIntersection = lineIntersection(
-      eye.x, eye.y,
-      eyeToMirrorIntersection.x, eyeToMirrorIntersection.y,
-      otherMirror.x1, otherMirror.y1,
-      otherMirror.x2, otherMirror.y2
-    );
-    
-    if (blockingIntersection) {
-      // Calculate how far along the ray this blocking intersection occurs
-      const eyeToBlockingIntersection = {
-        x: blockingIntersection.x - eye.x,
-        y: blockingIntersection.y - eye.y
-      };
-      
-      const distToBlockingIntersection = Math.sqrt(
-        eyeToBlockingIntersection.x * eyeToBlockingIntersection.x + 
-        eyeToBlockingIntersection.y * eyeToBlockingIntersection.y
-      );
-      
-      // If the blocking intersection is closer than our mirror intersection,
-      // this means another mirror is blocking the view
-      if (distToBlockingIntersection < distToIntersection * 0.99) { // Add a small margin for floating point errors
-        return false;
-      }
-    }
-  }
-  
-  // PART 2: Check if the mirror can see the source object (ball or parent reflection)
-  
-  // For higher-order reflections (depth > 1), we need to check if the path is physically valid
-  if (reflection.depth > 1) {
-    // Calculate the reflection point on the mirror
-    const reflectionPoint = eyeToMirrorIntersection;
-    
-    // For reflections of reflections, the reflection should be visible from the mirror
-    // but only if the source of this reflection (parent) is also visible from the mirror
-    const parentReflection = reflection.parentReflection;
-    
-    // Check if there's a clear path from the parent reflection to the reflection point
-    for (let otherMirror of mirrors) {
-      // Skip the mirror we're testing for and the parent's mirror
-      if (otherMirror === mirror || (parentReflection && otherMirror === parentReflection.sourceMirror)) continue;
-      
-      // Check if any mirror blocks the path from parent reflection to reflection point
-      const blockingIntersection = lineIntersection(
-        parentReflection.x, parentReflection.y,
-        reflectionPoint.x, reflectionPoint.y,
-        otherMirror.x1, otherMirror.y1,
-        otherMirror.x2, otherMirror.y2
-      );
-      
-      if (blockingIntersection) {
-        // Calculate distances to determine if there's a blockage
-        const parentToBlockingDist = dist(parentReflection.x, parentReflection.y, blockingIntersection.x, blockingIntersection.y);
-        const parentToReflectionPointDist = dist(parentReflection.x, parentReflection.y, reflectionPoint.x, reflectionPoint.y);
-        
-        // If there's a mirror between the parent and the reflection point, this reflection isn't possible
-        if (parentToBlockingDist < parentToReflectionPointDist * 0.99) { // Small margin for floating point errors
-          return false;
-        }
-      }
-    }
-  } else {
-    // For first-order reflections, check if the original ball is visible from the mirror
-    
-    // Calculate the reflection point on the mirror
-    const reflectionPoint = eyeToMirrorIntersection;
-    
-    // Check if there's a clear path from the ball to the reflection point
-    for (let otherMirror of mirrors) {
-      // Skip the mirror we're testing for
-      if (otherMirror === mirror) continue;
-      
-      // Check if any mirror blocks the path from ball to reflection point
-      const blockingIntersection = lineIntersection(
-        ball.x, ball.y,
-        reflectionPoint.x, reflectionPoint.y,
-        otherMirror.x1, otherMirror.y1,
-        otherMirror.x2, otherMirror.y2
-      );
-      
-      if (blockingIntersection) {
-        // Calculate distances to determine if there's a blockage
-        const ballToBlockingDist = dist(ball.x, ball.y, blockingIntersection.x, blockingIntersection.y);
-        const ballToReflectionPointDist = dist(ball.x, ball.y, reflectionPoint.x, reflectionPoint.y);
-        
-        // If there's a mirror between the ball and the reflection point, the reflection isn't physically possible
-        if (ballToBlockingDist < ballToReflectionPointDist * 0.99) { // Small margin for floating point errors
-          return false;
-        }
-      }
-    }
-  }
-  
-  // For a reflection to be visible, all checks must pass
-  return true;
 }
 
-// Modified higher-order reflection calculation with better sizing
-function calculateHigherOrderReflection(mirror, object, objectRadius, depth, allMirrors) {
-  // Don't go beyond max reflection depth
-  if (depth > MAX_REFLECTIONS) return;
-  
-  // Don't calculate reflections that are too small
-  if (objectRadius / BALL_RADIUS < MIN_REFLECTION_SIZE_RATIO) return;
-  
-  // Use the stored normal vector for this mirror
-  const mirrorNormal = mirror.normal;
-  
-  // Calculate reflection of object across mirror line
-  // First find distance from object to mirror along normal
-  const objectToMirrorVec = {
-    x: object.x - mirror.x1,
-    y: object.y - mirror.y1
-  };
-  const normalDistance = dotProduct(objectToMirrorVec, mirrorNormal);
-  
-  // Only create reflections if object is on the reflective side of the mirror
-  if (normalDistance <= 0) return;
-  
-  // Calculate distance from object to mirror
-  const distToMirror = Math.abs(normalDistance);
-  
-  // Calculate reflection size:
-  // For each order of reflection, reduce size by a modest fixed percentage
-  let reflectionRadius;
-  
-  // Size reduction factors by reflection depth:
-  // depth 1 = 100% (original size)
-  // depth 2 = 85% of original
-  // depth 3 = 70% of original
-  // depth 4+ = 60% of original
-  const sizeFactors = [1, 0.85, 0.7, 0.6, 0.6, 0.6];
-  const sizeFactor = sizeFactors[Math.min(depth - 1, sizeFactors.length - 1)];
-  
-  reflectionRadius = BALL_RADIUS * sizeFactor;
-  
-  // Don't show reflections that would be too small
-  if (reflectionRadius < BALL_RADIUS * MIN_REFLECTION_SIZE_RATIO) return;
-  
-  // Reflection of object position is on opposite side of mirror, same distance from mirror
-  const virtualObject = {
-    x: object.x - 2 * normalDistance * mirrorNormal.x,
-    y: object.y - 2 * normalDistance * mirrorNormal.y,
-    radius: reflectionRadius,
-    depth: depth,
-    sourceMirror: mirror,
-    // For higher-order reflections, parent is the reflection that generated this one
-    parentReflection: object
-  };
-  
-  // Skip reflections that are outside the canvas bounds
-  if (virtualObject.x - virtualObject.radius < 0 || 
-      virtualObject.x + virtualObject.radius > width ||
-      virtualObject.y - virtualObject.radius < 0 || 
-      virtualObject.y + virtualObject.radius > height) {
-    return;
-  }
-  
-  // Only add if this reflection is actually visible from current eye position
-  if (isReflectionVisible(virtualObject)) {
-    reflections.push(virtualObject);
-    
-    // Recursively calculate next level reflections
-    for (let otherMirror of allMirrors) {
-      // Skip the mirror that created this reflection
-      if (otherMirror === mirror) continue;
-      
-      calculateHigherOrderReflection(otherMirror, virtualObject, reflectionRadius, depth + 1, allMirrors);
-    }
-  }
+// Check if a reflection is visible from the given eye, or from any eye
+function isReflectionVisible(reflection, observer) {
+  return ReflectionEngine.isReflectionVisible(reflection, getScene(), observer);
 }
 
-// Improved function to check mirror visibility and handle partial visibility
+// Recalculate all visible reflections for the current arrangement
 function calculateReflections() {
-  // Clear previous reflections
-  reflections = [];
-
-  // For each mirror, check visibility and calculate first-order reflections
-  for (let mirror of mirrors) {
-    // Calculate reflection of ball across mirror line
-    // Use the stored normal vector for this mirror
-    const mirrorNormal = mirror.normal;
-    
-    // First find distance from ball to mirror along normal
-    const ballToMirrorVec = {
-      x: ball.x - mirror.x1,
-      y: ball.y - mirror.y1
-    };
-    const normalDistance = dotProduct(ballToMirrorVec, mirrorNormal);
-    
-    // Only create reflections if ball is on the reflective side of the mirror (normal points toward ball)
-    if (normalDistance <= 0) continue;
-    
-    // Calculate distance from ball to mirror
-    const distToMirror = Math.abs(normalDistance);
-    
-    // For first-order reflections, maintain the same size as the original ball
-    const reflectionRadius = ball.radius;
-    
-    // Reflection of ball position is on opposite side of mirror, same distance from mirror
-    const virtualBall = {
-      x: ball.x - 2 * normalDistance * mirrorNormal.x,
-      y: ball.y - 2 * normalDistance * mirrorNormal.y,
-      radius: reflectionRadius,
-      depth: 1,
-      sourceMirror: mirror,
-      parentReflection: null // First-order reflections don't have parent reflections
-    };
-    
-    // Skip reflections that are outside the canvas bounds
-    if (virtualBall.x - virtualBall.radius < 0 || 
-        virtualBall.x + virtualBall.radius > width ||
-        virtualBall.y - virtualBall.radius < 0 || 
-        virtualBall.y + virtualBall.radius > height) {
-      continue;
-    }
-    
-    // Check if this specific reflection is visible from the eye position
-    if (isReflectionVisible(virtualBall)) {
-      reflections.push(virtualBall);
-    }
-  }
-
-  // Calculate higher-order reflections
-  const processedReflections = [...reflections]; // Copy the array of first-order reflections
-  for (let reflection of processedReflections) {
-    // Calculate reflection of this reflection in other mirrors
-    for (let otherMirror of mirrors) {
-      // Skip the mirror that created this reflection
-      if (otherMirror === reflection.sourceMirror) continue;
-      
-      calculateHigherOrderReflection(otherMirror, reflection, reflection.radius, 2, mirrors);
-    }
-  }
+  reflections = ReflectionEngine.computeReflections(getScene(), {
+    maxDepth: MAX_REFLECTIONS,
+    minSizeRatio: MIN_REFLECTION_SIZE_RATIO
+  });
+  
+  // Keep the ghost target matches in sync with the new reflections
+  updateTargetMatches();
+  
+  // Keep the mirror inspector showing the current values
+  updateMirrorInspector();
+  
+  // Keep the all-rays legend's orders and mirrors in step with the scene
+  updateRayLegend();
 }
 
 function findClosestReflection(ray) {
@@ -1476,41 +1551,18 @@ function findClosestReflection(ray) {
   return closestIntersection;
 }
 
-// Calculate line-line intersection
-function lineIntersection(x1, y1, x2, y2, x3, y3, x4, y4) {
-  // Calculate denominator
-  const den = (y4 - y3) * (x2 - x1) - (x4 - x3) * (y2 - y1);
-  
-  // If lines are parallel
-  if (den === 0) {
-    return null;
-  }
-  
-  // Calculate ua and ub
-  const ua = ((x4 - x3) * (y1 - y3) - (y4 - y3) * (x1 - x3)) / den;
-  const ub = ((x2 - x1) * (y1 - y3) - (y2 - y1) * (x1 - x3)) / den;
-  
-  // If intersection is within both line segments
-  if (ua >= 0 && ua <= 1 && ub >= 0 && ub <= 1) {
-    const x = x1 + ua * (x2 - x1);
-    const y = y1 + ua * (y2 - y1);
-    return {x, y};
-  }
-  
-  return null;
-}
-
-// Vector helper functions
-function normalizeVector(v) {
-  const length = Math.sqrt(v.x * v.x + v.y * v.y);
-  return {
-    x: v.x / length,
-    y: v.y / length
-  };
+// Function to check whether the current puzzle lets the player move an object
+// ('ball', 'eye', 'mirrors' or 'obstacles', by index). Everything moves in the sandbox.
+function isObjectMovable(kind, index) {
+  if (!isPuzzleMode) return true;
+  return PuzzleSolver.isObjectMovable(currentPuzzle, kind, index);
 }
 
-function dotProduct(v1, v2) {
-  return v1.x * v2.x + v1.y * v2.y;
+// Function to find how the current puzzle lets the player move an object: free,
+// locked, rotate-only, translate-only, or along an axis, path or region
+function getObjectConstraint(kind, index) {
+  if (!isPuzzleMode) return { type: 'free' };
+  return PuzzleSolver.getObjectConstraint(currentPuzzle, kind, index);
 }
 
 // Function to check if objects can be moved in the current game state
@@ -1526,6 +1578,11 @@ function canMoveObjects() {
   
 // Override mouseDragged to check if objects can be moved
 mouseDragged = function() {
+  // Drawing a randomization region in the puzzle editor
+  if (isEditorMode && editorMouseDragged()) {
+    return;
+  }
+  
   // If not dragging anything, no need to proceed
   if (!isDragging) return;
   
@@ -1534,10 +1591,17 @@ mouseDragged = function() {
     return; // Don't allow movement if the puzzle is solved/failed
   }
   
+  // Remember where the dragged object started so the drag can be undone
+  if (!dragStartState) {
+    dragStartState = captureDragState();
+  }
+  
   if (draggedObject === 'ball') {
-    // Move the ball to the mouse position
-    ball.x = mouseX;
-    ball.y = mouseY;
+    // Move the ball to the mouse position, or the nearest place its constraint allows
+    const ball = balls[draggedBallIndex];
+    const position = PuzzleSolver.constrainPosition(getObjectConstraint('ball', draggedBallIndex), { x: mouseX, y: mouseY });
+    ball.x = position.x;
+    ball.y = position.y;
     
     // Keep ball within canvas bounds
     ball.x = constrain(ball.x, ball.radius, width - ball.radius);
@@ -1547,17 +1611,30 @@ mouseDragged = function() {
     calculateReflections();
   } 
   else if (draggedObject === 'mirror') {
-    if (draggedMirrorPoint) {
-      // Get the mirror being dragged by endpoint
-    const mirror = mirrors[draggedMirrorPoint.index];
+    const mirrorIndex = draggedMirrorPoint ? draggedMirrorPoint.index : draggedMirrorIndex;
+    const constraint = getObjectConstraint('mirrors', mirrorIndex);
     
-      // Update the appropriate endpoint of the center line
+    if (constraint.type !== 'free') {
+      // Constrained mirrors keep their size: ends turn them, the middle moves them
+      dragConstrainedMirror(mirrors[mirrorIndex], constraint);
+    }
+    else if (draggedMirrorPoint && mirrors[draggedMirrorPoint.index].type === 'arc') {
+      // Dragging an end of a curved mirror slides it around its circle
+      moveArcEndpoint(mirrors[draggedMirrorPoint.index], draggedMirrorPoint.point, mouseX, mouseY);
+    }
+    else if (draggedMirrorPoint) {
+      // Get the mirror being dragged by endpoint
+    const mirror = mirrors[draggedMirrorPoint.index];
+    const reflectiveSide = getMirrorSide(mirror);
+    
+      // Update the appropriate endpoint of the center line, snapped if snapping is on
+    const endpoint = getSnappedEndpoint(mirror, draggedMirrorPoint.point, mouseX, mouseY);
     if (draggedMirrorPoint.point === 1) {
-      mirror.x1 = mouseX;
-      mirror.y1 = mouseY;
+      mirror.x1 = endpoint.x;
+      mirror.y1 = endpoint.y;
     } else {
-      mirror.x2 = mouseX;
-      mirror.y2 = mouseY;
+      mirror.x2 = endpoint.x;
+      mirror.y2 = endpoint.y;
     }
     
     // Keep endpoints within canvas bounds
@@ -1566,104 +1643,148 @@ mouseDragged = function() {
     mirror.x2 = constrain(mirror.x2, 0, width);
     mirror.y2 = constrain(mirror.y2, 0, height);
       
-      // Recalculate the mirror's normal vector
-      const mirrorVector = { 
-        x: mirror.x2 - mirror.x1, 
-        y: mirror.y2 - mirror.y1 
-      };
-      const mirrorLength = Math.sqrt(mirrorVector.x * mirrorVector.x + mirrorVector.y * mirrorVector.y);
-      
-      // Get normalized normal vector
-      mirror.normal = {
-        x: -mirrorVector.y / mirrorLength,
-        y: mirrorVector.x / mirrorLength
-      };
+      // Recalculate the mirror's normal vector, keeping the reflective side
+      setMirrorNormal(mirror, reflectiveSide);
     }
     else if (draggedMirrorIndex !== null) {
       // Get the mirror being dragged from the middle
       const mirror = mirrors[draggedMirrorIndex];
       
-      // Calculate the displacement from last frame
-      const dx = mouseX - pmouseX;
-      const dy = mouseY - pmouseY;
-      
-      // Move both endpoints by the same amount to preserve orientation
-      mirror.x1 += dx;
-      mirror.y1 += dy;
-      mirror.x2 += dx;
-      mirror.y2 += dy;
+      if (mirror.type === 'arc') {
+        moveArcMirror(mirror, mouseX - pmouseX, mouseY - pmouseY);
+      } else {
+        // Calculate the displacement from last frame, snapped if snapping is on
+        const { dx, dy } = getSnappedMove(mirror, mouseX - pmouseX, mouseY - pmouseY);
+        
+        // Move both endpoints by the same amount to preserve orientation
+        mirror.x1 += dx;
+        mirror.y1 += dy;
+        mirror.x2 += dx;
+        mirror.y2 += dy;
       
-      // Keep within canvas bounds
-      if (mirror.x1 < 0) {
-        mirror.x2 += (0 - mirror.x1);
-        mirror.x1 = 0;
-      } else if (mirror.x1 > width) {
-        mirror.x2 -= (mirror.x1 - width);
-        mirror.x1 = width;
-      }
+        // Keep within canvas bounds
+        if (mirror.x1 < 0) {
+          mirror.x2 += (0 - mirror.x1);
+          mirror.x1 = 0;
+        } else if (mirror.x1 > width) {
+          mirror.x2 -= (mirror.x1 - width);
+          mirror.x1 = width;
+        }
       
-      if (mirror.y1 < 0) {
-        mirror.y2 += (0 - mirror.y1);
-        mirror.y1 = 0;
-      } else if (mirror.y1 > height) {
-        mirror.y2 -= (mirror.y1 - height);
-        mirror.y1 = height;
-      }
+        if (mirror.y1 < 0) {
+          mirror.y2 += (0 - mirror.y1);
+          mirror.y1 = 0;
+        } else if (mirror.y1 > height) {
+          mirror.y2 -= (mirror.y1 - height);
+          mirror.y1 = height;
+        }
       
-      if (mirror.x2 < 0) {
-        mirror.x1 += (0 - mirror.x2);
-        mirror.x2 = 0;
-      } else if (mirror.x2 > width) {
-        mirror.x1 -= (mirror.x2 - width);
-        mirror.x2 = width;
-      }
+        if (mirror.x2 < 0) {
+          mirror.x1 += (0 - mirror.x2);
+          mirror.x2 = 0;
+        } else if (mirror.x2 > width) {
+          mirror.x1 -= (mirror.x2 - width);
+          mirror.x2 = width;
+        }
       
-      if (mirror.y2 < 0) {
-        mirror.y1 += (0 - mirror.y2);
-        mirror.y2 = 0;
-      } else if (mirror.y2 > height) {
-        mirror.y1 -= (mirror.y2 - height);
-        mirror.y1 = height;
+        if (mirror.y2 < 0) {
+          mirror.y1 += (0 - mirror.y2);
+          mirror.y2 = 0;
+        } else if (mirror.y2 > height) {
+          mirror.y1 -= (mirror.y2 - height);
+          mirror.y1 = height;
+        }
       }
     }
     
     // For both endpoint and middle dragging, update the mirror sides
     const mirror = draggedMirrorPoint ? mirrors[draggedMirrorPoint.index] : mirrors[draggedMirrorIndex];
+    updateMirrorSides(mirror);
     
-    // Update both sides' coordinates
-    const halfWidth = mirror.width / 2;
-    
-    // Update blue side coordinates
-    mirror.blueX1 = mirror.x1 + mirror.normal.x * halfWidth;
-    mirror.blueY1 = mirror.y1 + mirror.normal.y * halfWidth;
-    mirror.blueX2 = mirror.x2 + mirror.normal.x * halfWidth;
-    mirror.blueY2 = mirror.y2 + mirror.normal.y * halfWidth;
+    // Recalculate reflections
+    calculateReflections();
+  }
+  else if (draggedObject === 'obstacle') {
+    // Move the whole obstacle by the displacement from last frame, as far as its constraint allows
+    const obstacle = obstacles[draggedObstacleIndex];
+    const center = getObstacleCenter(obstacle);
+    const target = PuzzleSolver.constrainPosition(getObjectConstraint('obstacles', draggedObstacleIndex),
+      { x: center.x + mouseX - pmouseX, y: center.y + mouseY - pmouseY });
+    moveObstacle(obstacle, target.x - center.x, target.y - center.y);
     
-    // Update black side coordinates
-    mirror.blackX1 = mirror.x1 - mirror.normal.x * halfWidth;
-    mirror.blackY1 = mirror.y1 - mirror.normal.y * halfWidth;
-    mirror.blackX2 = mirror.x2 - mirror.normal.x * halfWidth;
-    mirror.blackY2 = mirror.y2 - mirror.normal.y * halfWidth;
+    // Recalculate reflections
+    calculateReflections();
+  }
+  else if (draggedObject === 'eye' && isTurningEye) {
+    // Turn the eye to look at the mouse
+    const observer = eyes[draggedEyeIndex];
+    observer.direction = Math.atan2(mouseY - observer.y, mouseX - observer.x);
     
     // Recalculate reflections
     calculateReflections();
   }
   else if (draggedObject === 'eye') {
-    // Move the eye to the mouse position
-    eyePosition.x = mouseX;
-    eyePosition.y = mouseY;
+    const observer = eyes[draggedEyeIndex];
+    
+    // Move the eye to the mouse position, or the nearest place its constraint allows
+    const position = PuzzleSolver.constrainPosition(getObjectConstraint('eye', draggedEyeIndex), { x: mouseX, y: mouseY });
+    observer.x = position.x;
+    observer.y = position.y;
     
     // Keep eye within canvas bounds
-    eyePosition.x = constrain(eyePosition.x, EYE_SIZE / 2, width - EYE_SIZE / 2);
-    eyePosition.y = constrain(eyePosition.y, EYE_SIZE / 2, height - EYE_SIZE / 2);
+    observer.x = constrain(observer.x, EYE_SIZE / 2, width - EYE_SIZE / 2);
+    observer.y = constrain(observer.y, EYE_SIZE / 2, height - EYE_SIZE / 2);
     
     // Recalculate reflections
     calculateReflections();
   }
 };
 
+// Function to drag a mirror the puzzle constrains. Dragging an end turns the
+// mirror about its midpoint; dragging the middle moves the midpoint as far as
+// the constraint allows. Either way the mirror keeps its length.
+function dragConstrainedMirror(mirror, constraint) {
+  const midpoint = getMirrorMidpoint(mirror);
+  
+  if (draggedMirrorPoint) {
+    if (!PuzzleSolver.canRotate(constraint)) return;
+    
+    // Turn by the angle the mouse swept around the midpoint since last frame
+    const angle = atan2(mouseY - midpoint.y, mouseX - midpoint.x) - atan2(pmouseY - midpoint.y, pmouseX - midpoint.x);
+    PuzzleSolver.rotateMirror(mirror, angle);
+  } else {
+    if (!PuzzleSolver.canTranslate(constraint)) return;
+    
+    const target = PuzzleSolver.constrainPosition(constraint, {
+      x: constrain(midpoint.x + mouseX - pmouseX, 0, width),
+      y: constrain(midpoint.y + mouseY - pmouseY, 0, height)
+    });
+    const dx = target.x - midpoint.x;
+    const dy = target.y - midpoint.y;
+    
+    if (mirror.type === 'arc') {
+      moveArcMirror(mirror, dx, dy);
+    } else {
+      mirror.x1 += dx;
+      mirror.y1 += dy;
+      mirror.x2 += dx;
+      mirror.y2 += dy;
+    }
+  }
+}
+
 // Reset mousePressed to use a cleaner approach
 mousePressed = function() {
+  // The puzzle editor's tools take clicks before the usual dragging
+  if (isEditorMode && editorMousePressed()) {
+    return;
+  }
+  
+  // A clicked object is also the one arrow keys move next
+  if (mouseX >= 0 && mouseX <= width && mouseY >= 0 && mouseY <= height) {
+    keyboardSelection = findObjectAt(mouseX, mouseY);
+  }
+  
   // Don't allow interaction if the puzzle is solved or failed
   if (isPuzzleMode && (isPuzzleSolved || isPuzzleFailed)) {
     return;
@@ -1674,8 +1795,8 @@ mousePressed = function() {
     // Check each visible reflection
     for (let i = 0; i < reflections.length; i++) {
       const reflection = reflections[i];
-      // Only check visible reflections
-      if (!isReflectionVisible(reflection)) continue;
+      // Only check reflections the selected eye can see
+      if (!isReflectionVisible(reflection, getActiveEye())) continue;
       
       // Check if mouse is within the reflection's circle
       if (dist(mouseX, mouseY, reflection.x, reflection.y) < reflection.radius) {
@@ -1686,16 +1807,27 @@ mousePressed = function() {
     }
   }
   
+  // Dragging the handle in front of an eye turns it
+  const turnedEyeIndex = findEyeHandleAt(mouseX, mouseY);
+  if (turnedEyeIndex !== -1) {
+    activeEyeIndex = turnedEyeIndex;
+    isDragging = true;
+    draggedObject = 'eye';
+    draggedEyeIndex = turnedEyeIndex;
+    isTurningEye = true;
+    return;
+  }
+  
   // If we didn't click a reflection, handle regular dragging logic
   // In puzzle mode, check which objects are movable
   if (isPuzzleMode && currentPuzzle) {
-    const movable = currentPuzzle.movableObjects;
-    
-    // Check if clicked on the ball
-    if (dist(mouseX, mouseY, ball.x, ball.y) < ball.radius) {
-      if (movable.ball) {
+    // Check if clicked on a ball
+    const ballIndex = findBallAt(mouseX, mouseY);
+    if (ballIndex !== -1) {
+      if (isObjectMovable('ball', ballIndex)) {
         isDragging = true;
         draggedObject = 'ball';
+        draggedBallIndex = ballIndex;
       }
       return;
     }
@@ -1711,11 +1843,9 @@ mousePressed = function() {
           dist(mouseX, mouseY, mirror.x2, mirror.y2) < 10 ||
           dist(mouseX, mouseY, mirror.blueX2, mirror.blueY2) < 10 ||
           dist(mouseX, mouseY, mirror.blackX2, mirror.blackY2) < 10 ||
-          isPointNearLineSegment(mouseX, mouseY, mirror.x1, mirror.y1, mirror.x2, mirror.y2, 10) ||
-          isPointNearLineSegment(mouseX, mouseY, mirror.blueX1, mirror.blueY1, mirror.blueX2, mirror.blueY2, 10) ||
-          isPointNearLineSegment(mouseX, mouseY, mirror.blackX1, mirror.blackY1, mirror.blackX2, mirror.blackY2, 10)) {
+          isPointNearMirror(mouseX, mouseY, mirror, 10)) {
         
-        if (movable.mirrors) {
+        if (isObjectMovable('mirrors', i)) {
           isDragging = true;
           draggedObject = 'mirror';
           
@@ -1735,25 +1865,42 @@ mousePressed = function() {
             draggedMirrorIndex = i;
           }
         }
+        selectMirror(mirror);
         return;
       }
     }
     
-    // Check if clicked on the eye
-    if (dist(mouseX, mouseY, eyePosition.x, eyePosition.y) < EYE_SIZE / 2) {
-      if (movable.eye) {
+    // Check if clicked on an eye (which also selects it for ray cycling)
+    const eyeIndex = findEyeAt(mouseX, mouseY);
+    if (eyeIndex !== -1) {
+      activeEyeIndex = eyeIndex;
+      if (PuzzleSolver.canTranslate(getObjectConstraint('eye', eyeIndex))) {
         isDragging = true;
         draggedObject = 'eye';
+        draggedEyeIndex = eyeIndex;
+      }
+      return;
+    }
+    
+    // Check if clicked on an obstacle
+    const obstacleIndex = findObstacleAt(mouseX, mouseY);
+    if (obstacleIndex !== -1) {
+      if (isObjectMovable('obstacles', obstacleIndex)) {
+        isDragging = true;
+        draggedObject = 'obstacle';
+        draggedObstacleIndex = obstacleIndex;
       }
       return;
     }
   } else {
     // In sandbox mode, everything is movable
     
-    // Check if clicked on the ball
-    if (dist(mouseX, mouseY, ball.x, ball.y) < ball.radius) {
+    // Check if clicked on a ball
+    const ballIndex = findBallAt(mouseX, mouseY);
+    if (ballIndex !== -1) {
       isDragging = true;
       draggedObject = 'ball';
+      draggedBallIndex = ballIndex;
       return;
     }
     
@@ -1769,6 +1916,7 @@ mousePressed = function() {
         draggedObject = 'mirror';
         draggedMirrorPoint = {index: i, point: 1};
   draggedMirrorIndex = null;
+        selectMirror(mirror);
         return;
       }
       
@@ -1780,34 +1928,50 @@ mousePressed = function() {
         draggedObject = 'mirror';
         draggedMirrorPoint = {index: i, point: 2};
         draggedMirrorIndex = null;
+        selectMirror(mirror);
         return;
       }
       
       // Check if clicked on the middle of a mirror
       // First calculate the midpoint
-      const midX = (mirror.x1 + mirror.x2) / 2;
-      const midY = (mirror.y1 + mirror.y2) / 2;
+      const midpoint = getMirrorMidpoint(mirror);
       
-      // Check if clicked near the midpoint or along the line segment
-      if (dist(mouseX, mouseY, midX, midY) < 15 || 
-          isPointNearLineSegment(mouseX, mouseY, mirror.x1, mirror.y1, mirror.x2, mirror.y2, 10) ||
-          isPointNearLineSegment(mouseX, mouseY, mirror.blueX1, mirror.blueY1, mirror.blueX2, mirror.blueY2, 10) ||
-          isPointNearLineSegment(mouseX, mouseY, mirror.blackX1, mirror.blackY1, mirror.blackX2, mirror.blackY2, 10)) {
+      // Check if clicked near the midpoint or along the mirror
+      if (dist(mouseX, mouseY, midpoint.x, midpoint.y) < 15 || 
+          isPointNearMirror(mouseX, mouseY, mirror, 10)) {
         isDragging = true;
         draggedObject = 'mirror';
         draggedMirrorPoint = null;
         draggedMirrorIndex = i;
+        selectMirror(mirror);
         return;
       }
     }
     
-    // Check if clicked on the eye
-    if (dist(mouseX, mouseY, eyePosition.x, eyePosition.y) < EYE_SIZE / 2) {
+    // Check if clicked on an eye (which also selects it for ray cycling)
+    const eyeIndex = findEyeAt(mouseX, mouseY);
+    if (eyeIndex !== -1) {
+      activeEyeIndex = eyeIndex;
       isDragging = true;
       draggedObject = 'eye';
+      draggedEyeIndex = eyeIndex;
+      return;
+    }
+    
+    // Check if clicked on an obstacle
+    const obstacleIndex = findObstacleAt(mouseX, mouseY);
+    if (obstacleIndex !== -1) {
+      isDragging = true;
+      draggedObject = 'obstacle';
+      draggedObstacleIndex = obstacleIndex;
       return;
     }
   }
+  
+  // Clicking empty canvas clears the mirror selection
+  if (mouseX >= 0 && mouseX <= width && mouseY >= 0 && mouseY <= height) {
+    selectMirror(null);
+  }
 };
 
 // Helper function to check if a point is near a line segment
@@ -1842,6 +2006,197 @@ function isPointNearLineSegment(px, py, x1, y1, x2, y2, threshold) {
   return dist(px, py, closestX, closestY) < threshold;
 }
 
+// Helper function to check if a point is near any part of a mirror
+function isPointNearMirror(px, py, mirror, threshold) {
+  if (mirror.type === 'arc') {
+    // Near the circle, and within the arc's angular extent
+    const angle = Math.atan2(py - mirror.cy, px - mirror.cx);
+    const offset = ((angle - mirror.startAngle) % TWO_PI + TWO_PI) % TWO_PI;
+    return Math.abs(dist(px, py, mirror.cx, mirror.cy) - mirror.radius) < threshold + mirror.width / 2 &&
+           offset <= ReflectionEngine.arcSpan(mirror);
+  }
+  
+  return isPointNearLineSegment(px, py, mirror.x1, mirror.y1, mirror.x2, mirror.y2, threshold) ||
+         isPointNearLineSegment(px, py, mirror.blueX1, mirror.blueY1, mirror.blueX2, mirror.blueY2, threshold) ||
+         isPointNearLineSegment(px, py, mirror.blackX1, mirror.blackY1, mirror.blackX2, mirror.blackY2, threshold);
+}
+
+// Function to get the point halfway along a mirror
+function getMirrorMidpoint(mirror) {
+  if (mirror.type === 'arc') {
+    return ReflectionEngine.arcPoint(mirror, mirror.startAngle + ReflectionEngine.arcSpan(mirror) / 2);
+  }
+  
+  return { x: (mirror.x1 + mirror.x2) / 2, y: (mirror.y1 + mirror.y2) / 2 };
+}
+
+// Function to pair each kind of object (as puzzles name them in movableObjects)
+// with the scene's objects of that kind
+function getObjectLists() {
+  return [['ball', balls], ['eye', eyes], ['mirrors', mirrors], ['obstacles', obstacles]];
+}
+
+// Function to find the ball, mirror, eye or obstacle under a point, as
+// { kind, index }, or null when there is none
+function findObjectAt(px, py) {
+  const ballIndex = findBallAt(px, py);
+  if (ballIndex !== -1) return { kind: 'ball', index: ballIndex };
+  
+  for (let i = 0; i < mirrors.length; i++) {
+    const mirror = mirrors[i];
+    if (dist(px, py, mirror.x1, mirror.y1) < 10 ||
+        dist(px, py, mirror.x2, mirror.y2) < 10 ||
+        isPointNearMirror(px, py, mirror, 10)) {
+      return { kind: 'mirrors', index: i };
+    }
+  }
+  
+  const eyeIndex = findEyeAt(px, py);
+  if (eyeIndex !== -1) return { kind: 'eye', index: eyeIndex };
+  
+  const obstacleIndex = findObstacleAt(px, py);
+  if (obstacleIndex !== -1) return { kind: 'obstacles', index: obstacleIndex };
+  
+  return null;
+}
+
+// Function to create a ball from arrangement data, filling in an id and color
+// for balls that don't have them (like the single ball of older arrangements)
+function createBall(ballData, index) {
+  const ball = {
+    id: ballData.id || (index === 0 ? 'ball' : `ball${index + 1}`),
+    x: ballData.x,
+    y: ballData.y,
+    radius: ballData.radius || BALL_RADIUS,
+    color: ballData.color || BALL_COLORS[index % BALL_COLORS.length]
+  };
+  
+  if (ballData.label) {
+    ball.label = ballData.label;
+  }
+  
+  return ball;
+}
+
+// Function to find the topmost ball under a point, or -1
+function findBallAt(px, py) {
+  for (let i = balls.length - 1; i >= 0; i--) {
+    if (dist(px, py, balls[i].x, balls[i].y) < balls[i].radius) return i;
+  }
+  
+  return -1;
+}
+
+// Function to build an eye from arrangement data, filling in defaults
+function createEye(eyeData, index) {
+  const observer = {
+    id: eyeData.id || (index === 0 ? 'eye' : `eye${index + 1}`),
+    x: eyeData.x,
+    y: eyeData.y
+  };
+  
+  // Which way the eye looks, and how wide it sees (all around when not given)
+  if (eyeData.direction !== undefined) {
+    observer.direction = eyeData.direction;
+  }
+  if (eyeData.fov !== undefined) {
+    observer.fov = eyeData.fov;
+  }
+  
+  if (eyeData.label) {
+    observer.label = eyeData.label;
+  }
+  
+  return observer;
+}
+
+// Function to find the topmost eye under a point, or -1
+function findEyeAt(px, py) {
+  for (let i = eyes.length - 1; i >= 0; i--) {
+    if (dist(px, py, eyes[i].x, eyes[i].y) < EYE_SIZE / 2) return i;
+  }
+  
+  return -1;
+}
+
+// Function to get the eye whose rays are shown
+function getActiveEye() {
+  return eyes[Math.min(activeEyeIndex, eyes.length - 1)];
+}
+
+// Function to find the topmost obstacle under a point, or -1
+function findObstacleAt(px, py) {
+  for (let i = obstacles.length - 1; i >= 0; i--) {
+    const obstacle = obstacles[i];
+    
+    if (obstacle.type === 'circle') {
+      if (dist(px, py, obstacle.x, obstacle.y) < obstacle.radius) return i;
+    } else if (obstacle.type === 'polygon') {
+      if (isPointInPolygon(px, py, obstacle.points)) return i;
+    } else if (isPointNearLineSegment(px, py, obstacle.x1, obstacle.y1, obstacle.x2, obstacle.y2, WALL_THICKNESS)) {
+      return i;
+    }
+  }
+  
+  return -1;
+}
+
+// Helper function to check if a point is inside a polygon (even-odd rule)
+function isPointInPolygon(px, py, points) {
+  let inside = false;
+  
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i];
+    const b = points[j];
+    
+    // Count crossings of a horizontal ray going right from the point
+    if ((a.y > py) !== (b.y > py) && px < (b.x - a.x) * (py - a.y) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  
+  return inside;
+}
+
+// Function to move an obstacle, keeping its center on the canvas
+function moveObstacle(obstacle, dx, dy) {
+  const center = getObstacleCenter(obstacle);
+  dx = constrain(center.x + dx, 0, width) - center.x;
+  dy = constrain(center.y + dy, 0, height) - center.y;
+  
+  if (obstacle.type === 'circle') {
+    obstacle.x += dx;
+    obstacle.y += dy;
+  } else if (obstacle.type === 'polygon') {
+    for (let point of obstacle.points) {
+      point.x += dx;
+      point.y += dy;
+    }
+  } else {
+    obstacle.x1 += dx;
+    obstacle.y1 += dy;
+    obstacle.x2 += dx;
+    obstacle.y2 += dy;
+  }
+}
+
+// Function to get the center of an obstacle (average of its points)
+function getObstacleCenter(obstacle) {
+  if (obstacle.type === 'circle') {
+    return { x: obstacle.x, y: obstacle.y };
+  }
+  
+  if (obstacle.type === 'polygon') {
+    const count = obstacle.points.length;
+    return {
+      x: obstacle.points.reduce((sum, point) => sum + point.x, 0) / count,
+      y: obstacle.points.reduce((sum, point) => sum + point.y, 0) / count
+    };
+  }
+  
+  return { x: (obstacle.x1 + obstacle.x2) / 2, y: (obstacle.y1 + obstacle.y2) / 2 };
+}
+
 // Function to add a new mirror to the scene
 function addNewMirror() {
   // Place in top right corner
@@ -1898,94 +2253,91 @@ function addNewMirror() {
     normal: normal,
     width: MIRROR_WIDTH
   });
+  recordHistory({ type: 'addMirror', index: mirrors.length - 1, mirror: mirrors[mirrors.length - 1] });
   
   // Recalculate reflections with the new mirror
   calculateReflections();
 }
 
-// Improved function to check which mirrors are visible from the eye
-function getVisibleMirrors() {
-  const visibleMirrors = [];
+// Function to add another eye to the sandbox, to compare what two viewpoints see
+function addNewEye() {
+  if (isPuzzleMode) return;
   
-  for (let mirror of mirrors) {
-    // To check if a mirror is visible, sample multiple points along the blue side
-    const numSamples = 5;
-    let anyPointVisible = false;
-    
-    for (let i = 0; i <= numSamples; i++) {
-      // Sample points along the blue side of the mirror
-      const t = i / numSamples;
-      const sampleX = mirror.blueX1 * (1 - t) + mirror.blueX2 * t;
-      const sampleY = mirror.blueY1 * (1 - t) + mirror.blueY2 * t;
-      
-      // Check if there's a clear line of sight from eye to this sample point
-      let hasDirectSight = true;
-      
-      for (let otherMirror of mirrors) {
-        // Skip the mirror we're testing
-        if (otherMirror === mirror) continue;
-        
-        // Check if any other mirror blocks the view
-        const intersection = lineIntersection(
-          eyePosition.x, eyePosition.y,
-          sampleX, sampleY,
-          otherMirror.x1, otherMirror.y1,
-          otherMirror.x2, otherMirror.y2
-        );
-        
-        if (intersection) {
-          // Calculate distance to the intersection and to the sample point
-          const distToIntersection = dist(eyePosition.x, eyePosition.y, intersection.x, intersection.y);
-          const distToSample = dist(eyePosition.x, eyePosition.y, sampleX, sampleY);
-          
-          // If the intersection is closer than the sample, view is blocked
-          if (distToIntersection < distToSample * 0.99) { // Small margin for floating point errors
-            hasDirectSight = false;
-            break;
-          }
-        }
-      }
-      
-      // Check if we're looking at the blue side
-      if (hasDirectSight) {
-        const eyeToSample = {
-          x: sampleX - eyePosition.x,
-          y: sampleY - eyePosition.y
-        };
-        
-        // If dot product is negative, we're looking at the blue side
-        const lookingAtBlueSide = dotProduct(mirror.normal, eyeToSample) < 0;
-        
-        if (lookingAtBlueSide) {
-          anyPointVisible = true;
-          break;
-        }
-      }
-    }
-    
-    if (anyPointVisible) {
-      visibleMirrors.push(mirror);
-    }
-  }
+  const sceneBefore = snapshotScene();
   
-  return visibleMirrors;
+  // Place it at the bottom, to the right of the last eye
+  const lastEye = eyes[eyes.length - 1];
+  eyes.push(createEye({
+    x: constrain(lastEye.x + EYE_SIZE * 4, EYE_SIZE / 2, width - EYE_SIZE / 2),
+    y: height - 30
+  }, eyes.length));
+  activeEyeIndex = eyes.length - 1;
+  recordHistory({ type: 'scene', before: sceneBefore, after: snapshotScene() });
+  
+  // Recalculate reflections for the new viewpoint
+  calculateReflections();
 }
 
-// Function to load a puzzle from the puzzles folder
-function loadPuzzle(puzzleFilename) {
-  isPuzzleMode = true;
-  isPuzzleSolved = false;
-  isPuzzleFailed = false;
-  currentPuzzleFilename = puzzleFilename; // Store the filename
+// Function to add a new curved (concave) mirror to the scene
+function addNewArcMirror() {
+  // Place at the top center, curving around a center below it so the
+  // reflective side faces down into the room
+  const midAngle = -HALF_PI;
+  const mirror = {
+    type: 'arc',
+    cx: width * 0.5,
+    cy: height * 0.05 + ARC_MIRROR_RADIUS,
+    radius: ARC_MIRROR_RADIUS,
+    startAngle: midAngle - ARC_MIRROR_SPAN / 2,
+    endAngle: midAngle + ARC_MIRROR_SPAN / 2,
+    reflectiveSide: 'concave',
+    thickness: MIRROR_THICKNESS,
+    width: MIRROR_WIDTH
+  };
+  updateMirrorSides(mirror);
   
-  // Clear any existing timer
-  if (timeLimitInterval) {
-    clearInterval(timeLimitInterval);
-    timeLimitInterval = null;
-  }
+  mirrors.push(mirror);
+  recordHistory({ type: 'addMirror', index: mirrors.length - 1, mirror: mirror });
   
-  // Reset puzzle start time
-  puzzleStartTime = new Date().getTime();
+  // Recalculate reflections with the new mirror
+  calculateReflections();
+}
+
+// Function to slide one end of a curved mirror around its circle towards a point
+function moveArcEndpoint(mirror, point, px, py) {
+  const angle = Math.atan2(py - mirror.cy, px - mirror.cx);
+  
+  // Keep the arc running from start to end, and never let it vanish
+  if (point === 1) {
+    const span = Math.max(0.01, ((mirror.endAngle - angle) % TWO_PI + TWO_PI) % TWO_PI);
+    mirror.startAngle = angle;
+    mirror.endAngle = angle + span;
+  } else {
+    const span = Math.max(0.01, ((angle - mirror.startAngle) % TWO_PI + TWO_PI) % TWO_PI);
+    mirror.endAngle = mirror.startAngle + span;
+  }
+}
+
+// Function to move a curved mirror, keeping its midpoint on the canvas
+function moveArcMirror(mirror, dx, dy) {
+  mirror.cx += dx;
+  mirror.cy += dy;
+  
+  const midpoint = getMirrorMidpoint(mirror);
+  mirror.cx += constrain(midpoint.x, 0, width) - midpoint.x;
+  mirror.cy += constrain(midpoint.y, 0, height) - midpoint.y;
+}
+
+// Check which mirrors are visible from the eye
+function getVisibleMirrors() {
+  return ReflectionEngine.getVisibleMirrors(getScene());
+}
+
+// Function to load a puzzle from the puzzles folder. A randomized puzzle is
+// laid out from the given seed, or from the puzzle's own seed or a new one.
+function loadPuzzle(puzzleFilename, seed) {
+  resetPuzzleState();
+  currentPuzzleFilename = puzzleFilename; // Store the filename
   
   console.log(`Loading puzzle: ${puzzleFilename}`);
   
@@ -1998,104 +2350,307 @@ function loadPuzzle(puzzleFilename) {
       return response.json();
     })
     .then(puzzleData => {
-      currentPuzzle = puzzleData;
-      console.log(`Loaded puzzle: ${currentPuzzle.name}`);
+      // A puzzle bundle (as the puzzle editor exports) carries its arrangement
+      if (typeof puzzleData.arrangement === 'object') {
+        return startPuzzle(puzzleData, puzzleData.arrangement, seed);
+      }
       
       // Load the associated arrangement
-      return fetch(`arrangements/${currentPuzzle.arrangement}`)
+      return fetch(`arrangements/${puzzleData.arrangement}`)
         .then(response => {
           if (!response.ok) {
             throw new Error(`Failed to fetch arrangement: ${response.status} ${response.statusText}`);
           }
           return response.json();
-        });
+        })
+        .then(arrangementData => startPuzzle(puzzleData, arrangementData, seed));
     })
-    .then(arrangementData => {
-      // If the puzzle has randomization settings, apply them
-      if (currentPuzzle.randomize) {
-        applyRandomization(arrangementData);
-      }
+    .catch(showPuzzleError);
+}
 
-      // Import the arrangement
-      const success = importArrangement(arrangementData);
-      if (!success) {
-        throw new Error("Failed to import arrangement");
+// Function to start today's generated puzzle (or the one of the given day).
+// Everyone gets the same puzzle on the same day.
+function loadDailyPuzzle(date) {
+  resetPuzzleState();
+  dailyPuzzleDate = date || getTodayString();
+  
+  console.log(`Generating daily puzzle: ${dailyPuzzleDate}`);
+  
+  Promise.resolve()
+    .then(() => {
+      const generated = PuzzleGenerator.generateDailyPuzzle(dailyPuzzleDate, {
+        bounds: { width: width, height: height },
+        reflectionOptions: { maxDepth: MAX_REFLECTIONS, minSizeRatio: MIN_REFLECTION_SIZE_RATIO }
+      });
+      if (!generated) {
+        throw new Error(`No daily puzzle could be generated for ${dailyPuzzleDate}`);
       }
       
-      // Display puzzle information
-      displayPuzzleInfo();
-    })
-    .catch(error => {
-      console.error(`Error loading puzzle: ${error.message}`);
-      
-      // Show error message to user
-      const errorMsg = document.createElement('div');
-      errorMsg.className = 'error-message';
-      errorMsg.textContent = `Error loading puzzle: ${error.message}`;
-      errorMsg.style.position = 'fixed';
-      errorMsg.style.top = '10px';
-      errorMsg.style.left = '50%';
-      errorMsg.style.transform = 'translateX(-50%)';
-      errorMsg.style.backgroundColor = '#ffebee';
-      errorMsg.style.color = '#f44336';
-      errorMsg.style.padding = '10px';
-      errorMsg.style.borderRadius = '4px';
-      errorMsg.style.zIndex = '1000';
-      document.body.appendChild(errorMsg);
-      
-      // Remove the error message after 5 seconds
-      setTimeout(() => {
-        errorMsg.remove();
-      }, 5000);
+      // The generated layout is a known solution for the visual hints
+      hintSolution = generated.solution;
       
-      // Exit puzzle mode on error
-      exitPuzzleMode();
-    });
+      return startPuzzle(generated.puzzle, generated.arrangement);
+    })
+    .catch(showPuzzleError);
 }
 
-// Function to apply randomization to an arrangement based on puzzle settings
-function applyRandomization(arrangementData) {
-  const randomize = currentPuzzle.randomize;
+// Function to get the local date as 'YYYY-MM-DD'
+function getTodayString() {
+  const today = new Date();
+  const month = String(today.getMonth() + 1).padStart(2, '0');
+  const day = String(today.getDate()).padStart(2, '0');
+  return `${today.getFullYear()}-${month}-${day}`;
+}
+
+// Function to put the game into puzzle mode with nothing loaded yet
+function resetPuzzleState() {
+  // Starting a puzzle leaves the puzzle editor
+  if (isEditorMode) {
+    closeEditor();
+  }
   
-  // Randomize ball position if specified
-  if (randomize.ball) {
-    const ballSettings = randomize.ball;
+  // Any earlier test play of the editor's puzzle is over
+  clearEditorTestPlay();
+
+  isPuzzleMode = true;
+  isPuzzleSolved = false;
+  isPuzzleFailed = false;
+  currentPuzzleFilename = null;
+  dailyPuzzleDate = null;
+  
+  // Clear any existing timer
+  if (timeLimitInterval) {
+    clearInterval(timeLimitInterval);
+    timeLimitInterval = null;
+  }
+  
+  // Reset puzzle start time
+  puzzleStartTime = new Date().getTime();
+  
+  // Clear targets left over from a previous puzzle
+  ghostTargets = [];
+  targetMatches = [];
+  
+  // The star rating starts over
+  puzzleHintsUsed = 0;
+  puzzleDragCount = 0;
+  parArrangement = null;
+  
+  // So do the hints, and the new puzzle needs its own solution
+  clearHints();
+  hintSolution = null;
+}
+
+// Function to start a loaded puzzle on its arrangement
+function startPuzzle(puzzleData, arrangementData, seed) {
+  currentPuzzle = puzzleData;
+  console.log(`Loaded puzzle: ${currentPuzzle.name}`);
+  
+  // Pick the seed and keep it in the URL so the link reproduces this layout
+  puzzleSeed = choosePuzzleSeed(seed);
+  updatePuzzleURL();
+  
+  // If the puzzle has randomization settings, lay out a solvable arrangement
+  isLayoutUnverified = false;
+  if (currentPuzzle.randomize) {
+    arrangementData = randomizeArrangement(arrangementData);
+  }
+  puzzleArrangement = arrangementData;
+
+  // Import a copy, so a reset starts from the untouched arrangement
+  const success = importArrangement(JSON.parse(JSON.stringify(arrangementData)));
+  if (!success) {
+    throw new Error("Failed to import arrangement");
+  }
+  
+  // Edits made before the puzzle started can't be undone into it
+  clearHistory();
+  
+  // Display puzzle information
+  displayPuzzleInfo();
+  announce(`Puzzle started: ${currentPuzzle.name}. ${currentPuzzle.description || ''} ${getReflectionCountText()}`);
+  lastAnnouncedCounts = getReflectionCountText();
+  
+  // Reverse-engineering puzzles also need the hidden arrangement's targets,
+  // and puzzles rated on their par distance the par arrangement
+  const loading = [];
+  if (currentPuzzle.targets) {
+    loading.push(loadPuzzleTargets());
+  }
+  if (currentPuzzle.stars && currentPuzzle.stars.par) {
+    loading.push(loadParArrangement());
+  }
+  return Promise.all(loading);
+}
+
+// Function to report a puzzle that failed to load and leave puzzle mode
+function showPuzzleError(error) {
+  console.error(`Error loading puzzle: ${error.message}`);
+  
+  // Show error message to user
+  const errorMsg = document.createElement('div');
+  errorMsg.className = 'error-message';
+  errorMsg.textContent = `Error loading puzzle: ${error.message}`;
+  errorMsg.style.position = 'fixed';
+  errorMsg.style.top = '10px';
+  errorMsg.style.left = '50%';
+  errorMsg.style.transform = 'translateX(-50%)';
+  errorMsg.style.backgroundColor = '#ffebee';
+  errorMsg.style.color = '#f44336';
+  errorMsg.style.padding = '10px';
+  errorMsg.style.borderRadius = '4px';
+  errorMsg.style.zIndex = '1000';
+  document.body.appendChild(errorMsg);
+  
+  // Remove the error message after 5 seconds
+  setTimeout(() => {
+    errorMsg.remove();
+  }, 5000);
+  
+  // Exit puzzle mode on error
+  exitPuzzleMode();
+}
+
+// Function to pick the seed of a puzzle's randomization: the requested one,
+// else the puzzle's own `seed`, else a new random one
+function choosePuzzleSeed(requestedSeed) {
+  if (requestedSeed !== undefined && requestedSeed !== null && requestedSeed !== '') {
+    return requestedSeed;
+  }
+  
+  if (currentPuzzle.seed !== undefined) {
+    return currentPuzzle.seed;
+  }
+  
+  return Math.floor(Math.random() * 1000000);
+}
+
+// Function to keep the page URL pointing at the current puzzle and, for a
+// randomized puzzle, its seed
+function updatePuzzleURL() {
+  const params = new URLSearchParams();
+  
+  if (isPuzzleMode && dailyPuzzleDate) {
+    params.set('daily', dailyPuzzleDate);
+  } else if (isPuzzleMode && currentPuzzleFilename) {
+    params.set('puzzle', currentPuzzleFilename);
     
-    // If specific region is provided, use it
-    if (ballSettings.region) {
-      const region = ballSettings.region;
-      arrangementData.ball.x = random(region.x || 0, region.width || width);
-      arrangementData.ball.y = random(region.y || 0, region.height || height * 0.7);
-    } 
-    // Otherwise randomize within safe bounds
-    else {
-      const ballRadius = arrangementData.ball.radius || BALL_RADIUS;
-      arrangementData.ball.x = random(ballRadius, width - ballRadius);
-      arrangementData.ball.y = random(ballRadius, height * 0.7); // Keep ball in upper 70% of screen
+    if (currentPuzzle && currentPuzzle.randomize) {
+      params.set('seed', puzzleSeed);
     }
   }
   
-  // Randomize eye position if specified
-  if (randomize.eye) {
-    const eyeSettings = randomize.eye;
+  const query = params.toString();
+  window.history.replaceState(null, '', window.location.pathname + (query ? `?${query}` : ''));
+}
+
+// Function to start the puzzle named in the page URL (?puzzle=<file>&seed=<seed>
+// or ?daily=<YYYY-MM-DD>)
+function loadPuzzleFromURL() {
+  const params = new URLSearchParams(window.location.search);
+  const puzzleFilename = params.get('puzzle');
+  const dailyDate = params.get('daily');
+  
+  if (dailyDate) {
+    loadDailyPuzzle(dailyDate);
+  } else if (puzzleFilename) {
+    loadPuzzle(puzzleFilename, params.get('seed'));
+  }
+}
+
+// Function to lay out a randomized puzzle. Random layouts are drawn from the
+// puzzle's seed until the solver finds one that isn't solved yet but can be.
+// The search is bounded in time; when it runs out the first layout that isn't
+// solved yet is used, and the puzzle panel says it couldn't be checked.
+function randomizeArrangement(arrangementData) {
+  // The same seed always gives the same arrangements
+  const seededRandom = SeededRandom.createSeededRandom(puzzleSeed);
+  const deadline = Date.now() + LAYOUT_SEARCH_TIME;
+  
+  let candidate = null;
+  let fallback = null;
+  let attempt = 0;
+  while (attempt === 0 || Date.now() < deadline) {
+    attempt++;
+    candidate = JSON.parse(JSON.stringify(arrangementData));
+    applyRandomization(candidate, seededRandom);
+    
+    // The solver gets its own numbers, so a search cut short by time doesn't
+    // change the layouts drawn after it
+    const solverOptions = {
+      random: SeededRandom.createSeededRandom(Math.floor(seededRandom() * 4294967296)),
+      timeLimit: deadline - Date.now(),
+      bounds: { width: width, height: height },
+      reflectionOptions: { maxDepth: MAX_REFLECTIONS, minSizeRatio: MIN_REFLECTION_SIZE_RATIO }
+    };
+    
+    // A layout that already meets the win conditions would be over at once
+    if (PuzzleSolver.scoreArrangement(currentPuzzle, candidate, solverOptions) === 0) continue;
+    fallback = fallback || candidate;
     
-    // If specific region is provided, use it
-    if (eyeSettings.region) {
-      const region = eyeSettings.region;
-      arrangementData.eye.x = random(region.x || 0, region.width || width);
-      arrangementData.eye.y = random(region.y || height * 0.5, region.height || height);
-    } 
-    // Otherwise randomize within safe bounds
-    else {
-      arrangementData.eye.x = random(EYE_SIZE, width - EYE_SIZE);
-      arrangementData.eye.y = random(height * 0.5, height - EYE_SIZE); // Keep eye in lower half of screen
+    if (PuzzleSolver.solvePuzzle(currentPuzzle, candidate, solverOptions)) {
+      console.log(`Found a solvable layout after ${attempt} attempt(s)`);
+      isLayoutUnverified = false;
+      return candidate;
     }
   }
   
-  // Randomize mirrors if specified
-  if (randomize.mirrors) {
-    const mirrorSettings = randomize.mirrors;
-    
+  // Not finding a solution doesn't mean there is none
+  console.warn(`No layout was solved in ${LAYOUT_SEARCH_TIME}ms (${attempt} attempts)`);
+  isLayoutUnverified = true;
+  return fallback || candidate;
+}
+
+// Function to apply randomization to an arrangement based on puzzle settings,
+// drawing numbers from the given seeded random source
+function applyRandomization(arrangementData, seededRandom) {
+  const randomize = currentPuzzle.randomize;
+  
+  // Randomize ball position if specified
+  if (randomize.ball) {
+    const ballSettings = randomize.ball;
+    
+    // Every ball gets its own random position
+    for (let ballData of ReflectionEngine.getSceneBalls(arrangementData)) {
+      // If specific region is provided, use it
+      if (ballSettings.region) {
+        const region = ballSettings.region;
+        ballData.x = seededRandom(region.x || 0, region.width || width);
+        ballData.y = seededRandom(region.y || 0, region.height || height * 0.7);
+      } 
+      // Otherwise randomize within safe bounds
+      else {
+        const ballRadius = ballData.radius || BALL_RADIUS;
+        ballData.x = seededRandom(ballRadius, width - ballRadius);
+        ballData.y = seededRandom(ballRadius, height * 0.7); // Keep ball in upper 70% of screen
+      }
+    }
+  }
+  
+  // Randomize eye position if specified
+  if (randomize.eye) {
+    const eyeSettings = randomize.eye;
+    
+    // Every eye gets its own random position
+    for (let eyeData of ReflectionEngine.getSceneEyes(arrangementData)) {
+      // If specific region is provided, use it
+      if (eyeSettings.region) {
+        const region = eyeSettings.region;
+        eyeData.x = seededRandom(region.x || 0, region.width || width);
+        eyeData.y = seededRandom(region.y || height * 0.5, region.height || height);
+      } 
+      // Otherwise randomize within safe bounds
+      else {
+        eyeData.x = seededRandom(EYE_SIZE, width - EYE_SIZE);
+        eyeData.y = seededRandom(height * 0.5, height - EYE_SIZE); // Keep eye in lower half of screen
+      }
+    }
+  }
+  
+  // Randomize mirrors if specified
+  if (randomize.mirrors) {
+    const mirrorSettings = randomize.mirrors;
+    
     // For each mirror in the arrangement
     for (let i = 0; i < arrangementData.mirrors.length; i++) {
       const mirror = arrangementData.mirrors[i];
@@ -2110,60 +2665,67 @@ function applyRandomization(arrangementData) {
         };
         
         // Calculate center point for the mirror
-        const centerX = random(region.x + MIRROR_LENGTH/2, region.width - MIRROR_LENGTH/2);
-        const centerY = random(region.y + MIRROR_LENGTH/2, region.height - MIRROR_LENGTH/2);
+        const centerX = seededRandom(region.x + MIRROR_LENGTH/2, region.width - MIRROR_LENGTH/2);
+        const centerY = seededRandom(region.y + MIRROR_LENGTH/2, region.height - MIRROR_LENGTH/2);
         
-        // Randomize rotation angle if specified
-        let angle = 0;
-        if (mirrorSettings.rotation) {
-          if (typeof mirrorSettings.rotation === 'object') {
-            angle = random(mirrorSettings.rotation.min || 0, mirrorSettings.rotation.max || TWO_PI);
-          } else {
-            angle = random(TWO_PI);
+        // Curved mirrors keep their shape and are moved so their midpoint lands on the center
+        if (mirror.type === 'arc') {
+          const midpoint = getMirrorMidpoint(mirror);
+          mirror.cx += centerX - midpoint.x;
+          mirror.cy += centerY - midpoint.y;
+        } else {
+          // Randomize rotation angle if specified
+          let angle = 0;
+          if (mirrorSettings.rotation) {
+            if (typeof mirrorSettings.rotation === 'object') {
+              angle = seededRandom(mirrorSettings.rotation.min || 0, mirrorSettings.rotation.max || TWO_PI);
+            } else {
+              angle = seededRandom(TWO_PI);
+            }
           }
-        }
         
-        // Calculate mirror length
-        let mirrorLength = MIRROR_LENGTH;
-        if (mirrorSettings.size) {
-          if (typeof mirrorSettings.size === 'object') {
-            mirrorLength = random(mirrorSettings.size.min || MIRROR_LENGTH/2, 
-                                mirrorSettings.size.max || MIRROR_LENGTH*2);
-          } else {
-            // Random variation of +/- 25% from standard length
-            mirrorLength = random(MIRROR_LENGTH * 0.75, MIRROR_LENGTH * 1.25);
+          // Calculate mirror length
+          let mirrorLength = MIRROR_LENGTH;
+          if (mirrorSettings.size) {
+            if (typeof mirrorSettings.size === 'object') {
+              mirrorLength = seededRandom(mirrorSettings.size.min || MIRROR_LENGTH/2, 
+                                  mirrorSettings.size.max || MIRROR_LENGTH*2);
+            } else {
+              // Random variation of +/- 25% from standard length
+              mirrorLength = seededRandom(MIRROR_LENGTH * 0.75, MIRROR_LENGTH * 1.25);
+            }
           }
-        }
         
-        // Calculate new endpoint positions based on center, angle, and length
-        const halfLength = mirrorLength / 2;
-        mirror.x1 = centerX - cos(angle) * halfLength;
-        mirror.y1 = centerY - sin(angle) * halfLength;
-        mirror.x2 = centerX + cos(angle) * halfLength;
-        mirror.y2 = centerY + sin(angle) * halfLength;
+          // Calculate new endpoint positions based on center, angle, and length
+          const halfLength = mirrorLength / 2;
+          mirror.x1 = centerX - cos(angle) * halfLength;
+          mirror.y1 = centerY - sin(angle) * halfLength;
+          mirror.x2 = centerX + cos(angle) * halfLength;
+          mirror.y2 = centerY + sin(angle) * halfLength;
         
-        // Calculate the mirror's normal vector
-        const mirrorVector = { 
-          x: mirror.x2 - mirror.x1, 
-          y: mirror.y2 - mirror.y1 
-        };
-        const mirrorActualLength = Math.sqrt(mirrorVector.x * mirrorVector.x + mirrorVector.y * mirrorVector.y);
+          // Calculate the mirror's normal vector
+          const mirrorVector = { 
+            x: mirror.x2 - mirror.x1, 
+            y: mirror.y2 - mirror.y1 
+          };
+          const mirrorActualLength = Math.sqrt(mirrorVector.x * mirrorVector.x + mirrorVector.y * mirrorVector.y);
         
-        // Get normalized normal vector
-        mirror.normal = {
-          x: -mirrorVector.y / mirrorActualLength,
-          y: mirrorVector.x / mirrorActualLength
-        };
+          // Get normalized normal vector
+          mirror.normal = {
+            x: -mirrorVector.y / mirrorActualLength,
+            y: mirrorVector.x / mirrorActualLength
+          };
+        }
       }
       
       // Randomize mirror width if specified
       if (mirrorSettings.width) {
         if (typeof mirrorSettings.width === 'object') {
-          mirror.width = random(mirrorSettings.width.min || 2, 
+          mirror.width = seededRandom(mirrorSettings.width.min || 2, 
                               mirrorSettings.width.max || 8);
         } else {
           // Random variation of +/- 50% from standard width
-          mirror.width = random(MIRROR_WIDTH * 0.5, MIRROR_WIDTH * 1.5);
+          mirror.width = seededRandom(MIRROR_WIDTH * 0.5, MIRROR_WIDTH * 1.5);
         }
       }
     }
@@ -2175,9 +2737,9 @@ function applyRandomization(arrangementData) {
     let targetCount;
     
     if (typeof countSettings === 'object') {
-      targetCount = Math.floor(random(countSettings.min || 1, (countSettings.max || 5) + 1));
+      targetCount = Math.floor(seededRandom(countSettings.min || 1, (countSettings.max || 5) + 1));
     } else {
-      targetCount = Math.max(1, Math.floor(random(1, 6))); // 1-5 mirrors
+      targetCount = Math.max(1, Math.floor(seededRandom(1, 6))); // 1-5 mirrors
     }
     
     // Current count
@@ -2186,22 +2748,23 @@ function applyRandomization(arrangementData) {
     // If we need more mirrors, add them
     if (targetCount > currentCount) {
       for (let i = currentCount; i < targetCount; i++) {
-        addRandomMirror(arrangementData, randomize.mirrors);
+        addRandomMirror(arrangementData, randomize.mirrors, seededRandom);
       }
     }
     // If we need fewer mirrors, remove some
     else if (targetCount < currentCount) {
       // Remove random mirrors until we reach target count
       while (arrangementData.mirrors.length > targetCount) {
-        const indexToRemove = Math.floor(random(arrangementData.mirrors.length));
+        const indexToRemove = Math.floor(seededRandom(arrangementData.mirrors.length));
         arrangementData.mirrors.splice(indexToRemove, 1);
       }
     }
   }
 }
 
-// Helper function to add a random mirror to an arrangement
-function addRandomMirror(arrangementData, mirrorSettings) {
+// Helper function to add a random mirror to an arrangement, drawing numbers
+// from the puzzle's seeded random source
+function addRandomMirror(arrangementData, mirrorSettings, seededRandom) {
   // Define region for new mirror
   let region = mirrorSettings.region || {
     x: 0, 
@@ -2211,30 +2774,30 @@ function addRandomMirror(arrangementData, mirrorSettings) {
   };
   
   // Calculate center point for the mirror
-  const centerX = random(region.x + MIRROR_LENGTH/2, region.width - MIRROR_LENGTH/2);
-  const centerY = random(region.y + MIRROR_LENGTH/2, region.height - MIRROR_LENGTH/2);
+  const centerX = seededRandom(region.x + MIRROR_LENGTH/2, region.width - MIRROR_LENGTH/2);
+  const centerY = seededRandom(region.y + MIRROR_LENGTH/2, region.height - MIRROR_LENGTH/2);
   
   // Randomize rotation angle
   let angle = 0;
   if (mirrorSettings.rotation) {
     if (typeof mirrorSettings.rotation === 'object') {
-      angle = random(mirrorSettings.rotation.min || 0, mirrorSettings.rotation.max || TWO_PI);
+      angle = seededRandom(mirrorSettings.rotation.min || 0, mirrorSettings.rotation.max || TWO_PI);
     } else {
-      angle = random(TWO_PI);
+      angle = seededRandom(TWO_PI);
     }
   } else {
-    angle = random(TWO_PI);
+    angle = seededRandom(TWO_PI);
   }
   
   // Calculate mirror length
   let mirrorLength = MIRROR_LENGTH;
   if (mirrorSettings.size) {
     if (typeof mirrorSettings.size === 'object') {
-      mirrorLength = random(mirrorSettings.size.min || MIRROR_LENGTH/2, 
+      mirrorLength = seededRandom(mirrorSettings.size.min || MIRROR_LENGTH/2, 
                           mirrorSettings.size.max || MIRROR_LENGTH*2);
     } else {
       // Random variation of +/- 25% from standard length
-      mirrorLength = random(MIRROR_LENGTH * 0.75, MIRROR_LENGTH * 1.25);
+      mirrorLength = seededRandom(MIRROR_LENGTH * 0.75, MIRROR_LENGTH * 1.25);
     }
   }
   
@@ -2242,11 +2805,11 @@ function addRandomMirror(arrangementData, mirrorSettings) {
   let mirrorWidth = MIRROR_WIDTH;
   if (mirrorSettings.width) {
     if (typeof mirrorSettings.width === 'object') {
-      mirrorWidth = random(mirrorSettings.width.min || 2, 
+      mirrorWidth = seededRandom(mirrorSettings.width.min || 2, 
                         mirrorSettings.width.max || 8);
     } else {
       // Random variation of +/- 50% from standard width
-      mirrorWidth = random(MIRROR_WIDTH * 0.5, MIRROR_WIDTH * 1.5);
+      mirrorWidth = seededRandom(MIRROR_WIDTH * 0.5, MIRROR_WIDTH * 1.5);
     }
   }
   
@@ -2295,22 +2858,37 @@ function displayPuzzleInfo() {
   const hasTimeLimit = hasTimeLimitCondition();
   const timerElement = hasTimeLimit ? '<div id="puzzleTimer"></div>' : '';
   
+  // Show the best result of a puzzle solved before
+  const progress = currentPuzzleFilename ? getPuzzleProgress(currentPuzzleFilename) : null;
+  const bestTimeElement = progress ? `<p class="best-time">Best: ${formatStars(progress.stars)} in ${formatTime(progress.bestTime)}</p>` : '';
+  
   // Set the content
   puzzleInfoPanel.innerHTML = `
     <h3>${currentPuzzle.name}</h3>
     <p>${currentPuzzle.description}</p>
     <p class="movable-objects">Movable: ${getMovableObjectsText()}</p>
+    ${currentPuzzle.randomize ? '<p id="puzzleSeed"></p>' : ''}
+    ${isLayoutUnverified ? '<p class="puzzle-hint">This layout couldn\'t be checked in time, so it may not be solvable. If you get stuck, try another seed.</p>' : ''}
     ${timerElement}
+    ${bestTimeElement}
+    ${currentPuzzle.targets ? '<p id="puzzleTargets"></p>' : ''}
     <div id="puzzleStatus"></div>
+    <ol id="puzzleHints" class="puzzle-hint"></ol>
     <button id="showHintBtn">Show Hint</button>
     <button id="resetPuzzleBtn">Reset Puzzle</button>
     <button id="exitPuzzleBtn">Exit Puzzle</button>
   `;
   
+  // The seed may come from the URL, so it is set as text
+  if (currentPuzzle.randomize) {
+    document.getElementById('puzzleSeed').textContent = `Seed: ${puzzleSeed}`;
+  }
+  
   // Set up button event listeners
   document.getElementById('showHintBtn').onclick = showPuzzleHint;
   document.getElementById('resetPuzzleBtn').onclick = resetPuzzle;
   document.getElementById('exitPuzzleBtn').onclick = exitPuzzleMode;
+  updateHintList();
   
   // Start timer if needed
   if (hasTimeLimit) {
@@ -2318,44 +2896,265 @@ function displayPuzzleInfo() {
   }
 }
 
+// How each kind of movement constraint is described to the player
+const CONSTRAINT_DESCRIPTIONS = {
+  locked: ' (locked)',
+  rotate: ' (turn only)',
+  translate: ' (slide only)',
+  axis: ' (along a line)',
+  path: ' (along a path)',
+  region: ' (within an area)'
+};
+
 // Helper function to get text description of movable objects
 function getMovableObjectsText() {
   if (!currentPuzzle) return "";
   
-  const movable = currentPuzzle.movableObjects;
   const parts = [];
   
-  if (movable.mirrors) parts.push("Mirrors");
-  if (movable.ball) parts.push("Ball");
-  if (movable.eye) parts.push("Eye");
+  // Kinds that only let some objects move, or constrain them, list which ones
+  const describe = (kind, list, one, many) => {
+    const indices = list.map((object, i) => i).filter(i => isObjectMovable(kind, i));
+    if (indices.length === 0) return;
+    
+    const constraints = indices.map(i => getObjectConstraint(kind, i));
+    if (indices.length === list.length && constraints.every(constraint => constraint.type === 'free')) {
+      parts.push(list.length > 1 ? many : one);
+    } else {
+      const names = indices.map((index, i) => `${index + 1}${CONSTRAINT_DESCRIPTIONS[constraints[i].type] || ''}`);
+      parts.push(`${indices.length > 1 ? many : one} ${names.join(', ')}`);
+    }
+  };
+  describe('mirrors', mirrors, "Mirror", "Mirrors");
+  describe('ball', balls, "Ball", "Balls");
+  describe('eye', eyes, "Eye", "Eyes");
+  describe('obstacles', obstacles, "Obstacle", "Obstacles");
   
   return parts.join(", ");
 }
 
-// Function to show a random hint from the puzzle
+// Function to show the puzzle's next hint. Hints unlock in the order the
+// puzzle lists them, each after the puzzle's hintCooldown (in seconds).
 function showPuzzleHint() {
-  if (!currentPuzzle || !currentPuzzle.hints || currentPuzzle.hints.length === 0) return;
+  if (!currentPuzzle || !currentPuzzle.hints) return;
+  if (isPuzzleSolved || isPuzzleFailed) return;
+  if (puzzleHintsUsed >= currentPuzzle.hints.length || getHintCooldownRemaining() > 0) return;
+  
+  const hint = getPuzzleHint(puzzleHintsUsed);
   
-  // Pick a random hint
-  const randomIndex = Math.floor(Math.random() * currentPuzzle.hints.length);
-  const hint = currentPuzzle.hints[randomIndex];
+  // Hints cost stars
+  puzzleHintsUsed++;
+  lastHintTime = new Date().getTime();
   
-  // Create or update the hint element
-  let hintElement = document.getElementById('puzzleHint');
-  if (!hintElement) {
-    hintElement = document.createElement('div');
-    hintElement.id = 'puzzleHint';
-    hintElement.className = 'puzzle-hint';
-    document.getElementById('puzzleInfoPanel').appendChild(hintElement);
+  // Visual hints are drawn on the canvas until the puzzle is reset
+  const visual = createHintVisual(hint);
+  if (visual) {
+    hintVisuals.push(visual);
   }
   
-  hintElement.textContent = `Hint: ${hint}`;
-  hintElement.style.display = 'block';
+  updateHintList();
   
-  // Hide the hint after 10 seconds
-  setTimeout(() => {
-    hintElement.style.display = 'none';
-  }, 10000);
+  // Count down to the next hint
+  if (getHintCooldownRemaining() > 0) {
+    clearInterval(hintCooldownInterval);
+    hintCooldownInterval = setInterval(() => {
+      updateHintList();
+      if (getHintCooldownRemaining() === 0) {
+        clearInterval(hintCooldownInterval);
+        hintCooldownInterval = null;
+      }
+    }, 1000);
+  }
+}
+
+// Function to get one of the puzzle's hints as an object. A hint is either
+// plain text or one of:
+//   { type: 'text', text }
+//   { type: 'highlightMirror', mirror, text }  - outlines mirror (an index)
+//   { type: 'ghostMirror', mirror, position, text } - where mirror belongs;
+//     position is { x1, y1, x2, y2 }, or comes from the solver when left out
+//   { type: 'rayPath', order, ball, text }     - one ray path of a solution,
+//     for a reflection of the given order (1 by default) and ball
+function getPuzzleHint(index) {
+  const hint = currentPuzzle.hints[index];
+  return typeof hint === 'string' ? { type: 'text', text: hint } : hint;
+}
+
+// Function to get the seconds left before the next hint unlocks
+function getHintCooldownRemaining() {
+  if (!currentPuzzle || !currentPuzzle.hintCooldown || lastHintTime === null) return 0;
+  
+  const elapsedSeconds = (new Date().getTime() - lastHintTime) / 1000;
+  return Math.max(0, Math.ceil(currentPuzzle.hintCooldown - elapsedSeconds));
+}
+
+// Function to forget the hints shown so far
+function clearHints() {
+  lastHintTime = null;
+  hintVisuals = [];
+  
+  if (hintCooldownInterval) {
+    clearInterval(hintCooldownInterval);
+    hintCooldownInterval = null;
+  }
+}
+
+// Function to list the hints shown so far in the puzzle panel and update the
+// hint button
+function updateHintList() {
+  const listElement = document.getElementById('puzzleHints');
+  const button = document.getElementById('showHintBtn');
+  if (!listElement || !button || !currentPuzzle) return;
+  
+  const hintCount = currentPuzzle.hints ? currentPuzzle.hints.length : 0;
+  
+  // Hints are set as text, since puzzle files may come from anywhere
+  listElement.innerHTML = '';
+  for (let i = 0; i < puzzleHintsUsed; i++) {
+    const item = document.createElement('li');
+    item.textContent = getHintText(getPuzzleHint(i), hintVisuals.find(visual => visual.index === i));
+    listElement.appendChild(item);
+  }
+  listElement.style.display = puzzleHintsUsed > 0 ? 'block' : 'none';
+  
+  const cooldown = getHintCooldownRemaining();
+  const hintsLeft = hintCount - puzzleHintsUsed;
+  
+  button.disabled = hintsLeft === 0 || cooldown > 0;
+  if (hintsLeft === 0) {
+    button.textContent = hintCount > 0 ? 'No More Hints' : 'No Hints';
+  } else if (cooldown > 0) {
+    button.textContent = `Next Hint in ${cooldown}s`;
+  } else {
+    button.textContent = `Show Hint (${hintsLeft} left)`;
+  }
+}
+
+// Function to get the text shown for a hint, with a default for visual hints
+// that don't have their own
+function getHintText(hint, visual) {
+  if (hint.text) return hint.text;
+  
+  switch (hint.type) {
+    case 'highlightMirror':
+      return 'Look at the highlighted mirror.';
+    case 'ghostMirror':
+      return visual ? 'The dashed outline shows where a mirror belongs.' : 'No solution could be found to show.';
+    case 'rayPath':
+      return visual ? 'The yellow line shows the path of one reflection in a solution.' : 'No solution could be found to show.';
+    default:
+      return '';
+  }
+}
+
+// Function to work out what a visual hint draws, or null for text hints and
+// hints that need a solution when none can be found
+function createHintVisual(hint) {
+  const index = puzzleHintsUsed - 1;
+  
+  switch (hint.type) {
+    case 'highlightMirror':
+      return { type: hint.type, index: index, mirrorIndex: hint.mirror || 0 };
+      
+    case 'ghostMirror': {
+      let position = hint.position;
+      if (!position) {
+        const solution = getHintSolution();
+        position = solution ? solution.mirrors[hint.mirror || 0] : null;
+      }
+      if (!position) return null;
+      
+      return { type: hint.type, index: index, mirror: position };
+    }
+    
+    case 'rayPath': {
+      const path = getSolutionRayPath(hint.order || 1, hint.ball);
+      if (!path) return null;
+      
+      return { type: hint.type, index: index, path: path };
+    }
+    
+    default:
+      return null;
+  }
+}
+
+// Function to get a solved arrangement of the current puzzle. The solver
+// starts from the player's layout, so the solution tends to be close to it.
+function getHintSolution() {
+  if (hintSolution === null) {
+    hintSolution = PuzzleSolver.solvePuzzle(currentPuzzle, snapshotScene(), {
+      bounds: { width: width, height: height },
+      reflectionOptions: { maxDepth: MAX_REFLECTIONS, minSizeRatio: MIN_REFLECTION_SIZE_RATIO }
+    }) || false;
+  }
+  
+  return hintSolution || null;
+}
+
+// Function to find the path light takes from the ball to the selected eye for
+// a reflection of the given order in a solution. Returns the points from the
+// ball to the eye, or null.
+function getSolutionRayPath(order, ballId) {
+  const solution = getHintSolution();
+  if (!solution) return null;
+  
+  const scene = PuzzleSolver.createScene(solution, { width: width, height: height });
+  const eye = scene.eyes[Math.min(activeEyeIndex, scene.eyes.length - 1)];
+  const solutionReflections = ReflectionEngine.computeReflections(scene, {
+    maxDepth: MAX_REFLECTIONS,
+    minSizeRatio: MIN_REFLECTION_SIZE_RATIO
+  });
+  
+  const reflection = solutionReflections.find(candidate =>
+    candidate.depth === order &&
+    (ballId === undefined || candidate.sourceBall.id === ballId) &&
+    ReflectionEngine.isReflectionVisible(candidate, scene, eye));
+  if (!reflection) return null;
+  
+  const path = ReflectionEngine.traceReflectionPath(reflection, scene, eye);
+  if (!path) return null;
+  
+  const ball = reflection.sourceBall;
+  return [{ x: ball.x, y: ball.y }].concat(path.hitPoints, [{ x: eye.x, y: eye.y }]);
+}
+
+// Function to draw the visual hints shown so far
+function drawHintVisuals() {
+  for (let visual of hintVisuals) {
+    if (visual.type === 'highlightMirror') {
+      const mirror = mirrors[visual.mirrorIndex];
+      if (!mirror) continue;
+      
+      // A wide yellow glow behind the mirror
+      stroke(255, 193, 7, 150);
+      strokeWeight(14);
+      noFill();
+      if (mirror.type === 'arc') {
+        arc(mirror.cx, mirror.cy, mirror.radius * 2, mirror.radius * 2, mirror.startAngle, mirror.endAngle, OPEN);
+      } else {
+        line(mirror.x1, mirror.y1, mirror.x2, mirror.y2);
+      }
+    } else if (visual.type === 'ghostMirror') {
+      const mirror = visual.mirror;
+      
+      strokeWeight(3);
+      noFill();
+      if (mirror.type === 'arc') {
+        stroke(100, 200, 255, 120);
+        arc(mirror.cx, mirror.cy, mirror.radius * 2, mirror.radius * 2, mirror.startAngle, mirror.endAngle, OPEN);
+      } else {
+        drawDashedLine(mirror.x1, mirror.y1, mirror.x2, mirror.y2, color(100, 200, 255, 180), 10, 6);
+      }
+    } else if (visual.type === 'rayPath') {
+      stroke(255, 193, 7, 200);
+      strokeWeight(3);
+      noFill();
+      for (let i = 0; i < visual.path.length - 1; i++) {
+        line(visual.path[i].x, visual.path[i].y, visual.path[i + 1].x, visual.path[i + 1].y);
+      }
+    }
+  }
 }
 
 // Function to reset the current puzzle
@@ -2381,18 +3180,26 @@ function resetPuzzle() {
   // Reset puzzle start time
   puzzleStartTime = new Date().getTime();
   
-  // Load the associated arrangement
-  fetch(`arrangements/${currentPuzzle.arrangement}`)
-    .then(response => response.json())
+  // The star rating starts over, and so do the hints
+  puzzleHintsUsed = 0;
+  puzzleDragCount = 0;
+  clearHints();
+  updateHintList();
+  
+  // Start again from the arrangement the puzzle was loaded with (for a
+  // randomized puzzle, the layout it started with)
+  Promise.resolve(JSON.parse(JSON.stringify(puzzleArrangement)))
     .then(arrangementData => {
-      // If the puzzle has randomization settings, apply them
-      if (currentPuzzle.randomize) {
-        applyRandomization(arrangementData);
-      }
-      
       // Import the arrangement
       importArrangement(arrangementData);
+      clearHistory();
       
+      // The player's eye goes back to the hidden arrangement's viewpoint
+      if (currentPuzzle.targets) {
+        return loadPuzzleTargets();
+      }
+    })
+    .then(() => {
       // If this puzzle has a time limit, restart the timer
       if (hasTimeLimitCondition()) {
         startPuzzleTimer();
@@ -2410,6 +3217,16 @@ function exitPuzzleMode() {
   currentPuzzleFilename = null; // Clear the filename
   isPuzzleSolved = false;
   isPuzzleFailed = false;
+  ghostTargets = [];
+  targetMatches = [];
+  puzzleSeed = null;
+  puzzleArrangement = null;
+  dailyPuzzleDate = null;
+  clearHints();
+  hintSolution = null;
+  
+  // The URL no longer points at a puzzle
+  updatePuzzleURL();
   
   // Clear any existing timer
   if (timeLimitInterval) {
@@ -2423,8 +3240,12 @@ function exitPuzzleMode() {
     puzzleInfoPanel.remove();
   }
   
-  // Reset to default game state
-  initializeGame();
+  // A test play goes back to the puzzle editor, anything else to a new scene
+  if (isEditorTestPlay()) {
+    returnToEditor();
+  } else {
+    initializeGame();
+  }
 }
 
 // Check if puzzle win/lose conditions are met
@@ -2434,19 +3255,24 @@ function checkPuzzleConditions() {
   // Skip if puzzle is already solved or failed
   if (isPuzzleSolved || isPuzzleFailed) return;
   
-  // Count reflections by order
-  const reflectionCounts = countReflectionsByOrder();
-  
   // Check win conditions
   let winConditionsMet = false;
   
   if (currentPuzzle.winConditions) {
     // Multiple win conditions (all must be met)
     winConditionsMet = currentPuzzle.winConditions.every(condition => 
-      checkSingleCondition(condition, reflectionCounts));
+      checkSingleCondition(condition));
   } else if (currentPuzzle.winCondition) {
     // Single win condition
-    winConditionsMet = checkSingleCondition(currentPuzzle.winCondition, reflectionCounts);
+    winConditionsMet = checkSingleCondition(currentPuzzle.winCondition);
+  } else if (currentPuzzle.targets) {
+    // Reverse-engineering puzzles need no other win condition
+    winConditionsMet = true;
+  }
+  
+  // Reverse-engineering puzzles are only solved once every ghost target is matched
+  if (currentPuzzle.targets) {
+    winConditionsMet = winConditionsMet && areAllTargetsMatched();
   }
   
   // Check lose conditions
@@ -2455,10 +3281,10 @@ function checkPuzzleConditions() {
   if (currentPuzzle.loseConditions) {
     // Multiple lose conditions (any one can trigger failure)
     loseConditionsMet = currentPuzzle.loseConditions.some(condition => 
-      checkSingleCondition(condition, reflectionCounts));
+      checkSingleCondition(condition));
   } else if (currentPuzzle.loseCondition) {
     // Single lose condition
-    loseConditionsMet = checkSingleCondition(currentPuzzle.loseCondition, reflectionCounts);
+    loseConditionsMet = checkSingleCondition(currentPuzzle.loseCondition);
   }
   
   // Handle puzzle solved
@@ -2473,32 +3299,15 @@ function checkPuzzleConditions() {
 }
 
 // Helper function to check a single condition
-function checkSingleCondition(condition, reflectionCounts) {
+function checkSingleCondition(condition) {
   switch (condition.type) {
     case 'exactReflections':
-      // Check if there are exactly N reflections of order X
-      return reflectionCounts[condition.order] === condition.count;
-      
     case 'minReflections':
-      // Check if there are at least N reflections of order X
-      return reflectionCounts[condition.order] >= condition.count;
-      
     case 'maxReflections':
-      // Check if there are at most N reflections of order X
-      return reflectionCounts[condition.order] <= condition.count;
-      
     case 'totalReflections':
-      // Check total reflections against operator and count
-      const total = Object.values(reflectionCounts).reduce((sum, count) => sum + count, 0);
-      
-      switch (condition.operator) {
-        case '=': return total === condition.count;
-        case '>': return total > condition.count;
-        case '<': return total < condition.count;
-        case '>=': return total >= condition.count;
-        case '<=': return total <= condition.count;
-        default: return false;
-      }
+    case 'matchImages':
+      // Conditions on the layout are shared with the puzzle solver
+      return PuzzleSolver.checkCondition(condition, reflections, getScene());
       
     case 'timeLimit':
       // Check if time limit is exceeded
@@ -2512,23 +3321,92 @@ function checkSingleCondition(condition, reflectionCounts) {
   }
 }
 
-// Count reflections grouped by their order/depth
-function countReflectionsByOrder() {
-  const counts = {};
-  
-  // Initialize counts for all possible orders
-  for (let i = 1; i <= MAX_REFLECTIONS; i++) {
-    counts[i] = 0;
+// Function to load the hidden arrangement of a reverse-engineering puzzle and
+// turn its reflections into ghost targets
+function loadPuzzleTargets() {
+  return fetch(`arrangements/${currentPuzzle.targets.arrangement}`)
+    .then(response => {
+      if (!response.ok) {
+        throw new Error(`Failed to fetch target arrangement: ${response.status} ${response.statusText}`);
+      }
+      return response.json();
+    })
+    .then(targetArrangement => {
+      // Only the reflections are kept, the hidden arrangement itself is discarded
+      ghostTargets = ReflectionEngine.computeReflections({
+        balls: ReflectionEngine.getSceneBalls(targetArrangement).map(createBall),
+        eyes: ReflectionEngine.getSceneEyes(targetArrangement),
+        mirrors: targetArrangement.mirrors,
+        obstacles: targetArrangement.obstacles || [],
+        bounds: { width: width, height: height }
+      }, {
+        maxDepth: currentPuzzle.targets.maxDepth || MAX_REFLECTIONS,
+        minSizeRatio: MIN_REFLECTION_SIZE_RATIO
+      }).map(reflection => ({
+        x: reflection.x,
+        y: reflection.y,
+        radius: reflection.radius,
+        depth: reflection.depth
+      }));
+      
+      // The player looks from the same viewpoints the targets were seen from
+      eyes = ReflectionEngine.getSceneEyes(targetArrangement).map(createEye);
+      activeEyeIndex = 0;
+      calculateReflections();
+      
+      console.log(`Loaded ${ghostTargets.length} ghost targets`);
+    });
+}
+
+// Match the current reflections against the ghost targets
+function updateTargetMatches() {
+  if (ghostTargets.length === 0) {
+    targetMatches = [];
+    return;
   }
   
-  // Count visible reflections by their depth
-  for (let reflection of reflections) {
-    if (isReflectionVisible(reflection)) {
-      counts[reflection.depth] = (counts[reflection.depth] || 0) + 1;
-    }
+  const tolerance = currentPuzzle && currentPuzzle.targets && currentPuzzle.targets.tolerance !== undefined
+    ? currentPuzzle.targets.tolerance
+    : TARGET_MATCH_TOLERANCE;
+  // One reflection can't cover two ghosts that lie close together
+  targetMatches = ReflectionEngine.matchTargets(ghostTargets, reflections, { tolerance: tolerance, oneToOne: true });
+  
+  // Show the progress in the puzzle panel
+  const targetsElement = document.getElementById('puzzleTargets');
+  if (targetsElement) {
+    const matchedCount = targetMatches.filter(match => match.matched).length;
+    targetsElement.textContent = `Targets matched: ${matchedCount} / ${ghostTargets.length}`;
   }
+}
+
+// Check if every ghost target is matched by a reflection
+function areAllTargetsMatched() {
+  return ghostTargets.length > 0 && targetMatches.every(match => match.matched);
+}
+
+// Match the current reflections against the images of a matchImages condition
+function matchImageTargets(condition) {
+  return ReflectionEngine.matchTargets(condition.images, reflections, {
+    tolerance: condition.tolerance !== undefined ? condition.tolerance : TARGET_MATCH_TOLERANCE,
+    oneToOne: condition.oneToOne,
+    mirrors: mirrors
+  });
+}
+
+// Get all matchImages conditions among the puzzle's win conditions
+function getImageTargetConditions() {
+  if (!currentPuzzle) return [];
   
-  return counts;
+  const conditions = currentPuzzle.winConditions ||
+    (currentPuzzle.winCondition ? [currentPuzzle.winCondition] : []);
+  
+  return conditions.filter(condition => condition.type === 'matchImages');
+}
+
+// Count reflections grouped by their order/depth, optionally only those of the
+// ball with the given id, or those the eye with the given id sees
+function countReflectionsByOrder(ballId, eyeId) {
+  return PuzzleSolver.countReflectionsByOrder(reflections, getScene(), ballId, eyeId, MAX_REFLECTIONS);
 }
 
 // Handle puzzle solved
@@ -2541,17 +3419,240 @@ function puzzleSolved() {
     timeLimitInterval = null;
   }
   
+  // Rate the solution
+  const elapsedSeconds = (new Date().getTime() - puzzleStartTime) / 1000;
+  const rating = getStarRating(elapsedSeconds);
+  
+  // Puzzles loaded from a file keep their best result, and may unlock the next one
+  let result = null;
+  if (currentPuzzleFilename) {
+    result = savePuzzleResult(currentPuzzleFilename, elapsedSeconds, rating.stars);
+    
+    // The puzzle list shows which puzzles are unlocked now
+    if (typeof loadPuzzlesList === 'function') {
+      loadPuzzlesList();
+    }
+  }
+  const nextPuzzle = getNextPuzzle(currentPuzzleFilename);
+  
   // Update status in the puzzle panel
   const statusElement = document.getElementById('puzzleStatus');
   if (statusElement) {
     statusElement.innerHTML = `
       <div class="status-success">PUZZLE SOLVED!</div>
+      <div class="star-rating">${formatStars(rating.stars)}</div>
+      <p>${getRatingText(rating.measures)}</p>
+      ${result ? `<p>Best: ${formatStars(result.stars)} in ${formatTime(result.bestTime)}</p>` : ''}
       <button id="retryPuzzleBtn">Try Again</button>
+      ${nextPuzzle ? '<button id="nextPuzzleBtn">Next Puzzle</button>' : ''}
     `;
     
     // Set up retry button
     document.getElementById('retryPuzzleBtn').onclick = resetPuzzle;
+    
+    // Set up next puzzle button
+    if (nextPuzzle) {
+      document.getElementById('nextPuzzleBtn').onclick = () => loadPuzzle(nextPuzzle);
+    }
+  }
+  
+  announce(`Puzzle solved with ${rating.stars} ${rating.stars === 1 ? 'star' : 'stars'} in ${formatTime(elapsedSeconds)}.`);
+}
+
+// Function to load the campaign manifest. Without one every puzzle is unlocked.
+function loadCampaign() {
+  return fetch('puzzles/campaign.json')
+    .then(response => {
+      if (!response.ok) {
+        throw new Error(`Failed to fetch campaign: ${response.status} ${response.statusText}`);
+      }
+      return response.json();
+    })
+    .then(campaignData => {
+      campaign = campaignData;
+      return campaign;
+    })
+    .catch(error => {
+      console.error(`Error loading campaign: ${error.message}`);
+      campaign = null;
+      return null;
+    });
+}
+
+// Function to list the campaign's puzzle files in play order
+function getCampaignPuzzles() {
+  if (!campaign) return [];
+  
+  return campaign.chapters.reduce((list, chapter) => list.concat(chapter.puzzles), []);
+}
+
+// Function to check whether a puzzle can be played: the first campaign puzzle
+// and puzzles outside the campaign always can, later ones once the puzzle
+// before them is solved
+function isPuzzleUnlocked(puzzleFilename) {
+  const order = getCampaignPuzzles();
+  const index = order.indexOf(puzzleFilename);
+  if (index <= 0) return true;
+  
+  const previous = getPuzzleProgress(order[index - 1]);
+  return Boolean(previous && previous.solved);
+}
+
+// Function to get the campaign puzzle after the given one, or null at the end
+function getNextPuzzle(puzzleFilename) {
+  const order = getCampaignPuzzles();
+  const index = order.indexOf(puzzleFilename);
+  if (index === -1 || index === order.length - 1) return null;
+  
+  return order[index + 1];
+}
+
+// Function to read the saved progress of every puzzle from localStorage
+function loadProgress() {
+  try {
+    return JSON.parse(localStorage.getItem(PROGRESS_STORAGE_KEY)) || {};
+  } catch (error) {
+    console.error(`Error reading saved progress: ${error.message}`);
+    return {};
+  }
+}
+
+// Function to get the saved progress of one puzzle ({ solved, bestTime, stars }),
+// or null when it was never solved
+function getPuzzleProgress(puzzleFilename) {
+  return loadProgress()[puzzleFilename] || null;
+}
+
+// Function to record a solved puzzle, keeping the best time (in seconds) and
+// the most stars earned so far
+function savePuzzleResult(puzzleFilename, time, stars) {
+  const progress = loadProgress();
+  const previous = progress[puzzleFilename] || {};
+  
+  progress[puzzleFilename] = {
+    solved: true,
+    bestTime: previous.bestTime !== undefined ? Math.min(previous.bestTime, time) : time,
+    stars: Math.max(previous.stars || 0, stars || 0)
+  };
+  
+  try {
+    localStorage.setItem(PROGRESS_STORAGE_KEY, JSON.stringify(progress));
+  } catch (error) {
+    console.error(`Error saving progress: ${error.message}`);
+  }
+  
+  return progress[puzzleFilename];
+}
+
+// Function to rate a solved puzzle with 1 to 3 stars. The puzzle's "stars"
+// section gives, for each measure it is rated on, the most a solution may
+// take for 3 stars and for 2 stars, e.g. "time": [30, 90]. The measures are
+// time (seconds), hints, drags and parDistance (average pixels the movable
+// objects are from the par arrangement); the worst one decides the rating.
+function getStarRating(elapsedSeconds) {
+  const thresholds = currentPuzzle.stars || DEFAULT_STAR_THRESHOLDS;
+  const measures = {
+    time: elapsedSeconds,
+    hints: puzzleHintsUsed,
+    drags: puzzleDragCount
+  };
+  if (parArrangement) {
+    measures.parDistance = getParDistance();
+  }
+  
+  let stars = 3;
+  for (let name in measures) {
+    const limits = thresholds[name];
+    if (!limits) continue;
+    
+    const earned = measures[name] <= limits[0] ? 3 : (measures[name] <= limits[1] ? 2 : 1);
+    stars = Math.min(stars, earned);
+  }
+  
+  return { stars: stars, measures: measures };
+}
+
+// Function to load the par arrangement of a puzzle rated on its par distance
+function loadParArrangement() {
+  return fetch(`arrangements/${currentPuzzle.stars.par}`)
+    .then(response => {
+      if (!response.ok) {
+        throw new Error(`Failed to fetch par arrangement: ${response.status} ${response.statusText}`);
+      }
+      return response.json();
+    })
+    .then(arrangementData => {
+      parArrangement = arrangementData;
+    });
+}
+
+// Function to measure how far the movable objects are from the par
+// arrangement: the average distance of balls, eyes and mirror ends (or the
+// middles of curved mirrors) from their places in it
+function getParDistance() {
+  const movable = currentPuzzle.movableObjects || {};
+  const distances = [];
+  
+  if (movable.ball) {
+    ReflectionEngine.getSceneBalls(parArrangement).forEach((parBall, i) => {
+      if (balls[i]) distances.push(dist(balls[i].x, balls[i].y, parBall.x, parBall.y));
+    });
+  }
+  
+  if (movable.eye) {
+    ReflectionEngine.getSceneEyes(parArrangement).forEach((parEye, i) => {
+      if (eyes[i]) distances.push(dist(eyes[i].x, eyes[i].y, parEye.x, parEye.y));
+    });
   }
+  
+  if (movable.mirrors) {
+    parArrangement.mirrors.forEach((parMirror, i) => {
+      const mirror = mirrors[i];
+      if (!mirror) return;
+      
+      if (mirror.type === 'arc' || parMirror.type === 'arc') {
+        const middle = getMirrorMidpoint(mirror);
+        const parMiddle = getMirrorMidpoint(parMirror);
+        distances.push(dist(middle.x, middle.y, parMiddle.x, parMiddle.y));
+        return;
+      }
+      
+      // A flat mirror's ends may be either way round
+      const sameWay = dist(mirror.x1, mirror.y1, parMirror.x1, parMirror.y1) +
+                      dist(mirror.x2, mirror.y2, parMirror.x2, parMirror.y2);
+      const swapped = dist(mirror.x1, mirror.y1, parMirror.x2, parMirror.y2) +
+                      dist(mirror.x2, mirror.y2, parMirror.x1, parMirror.y1);
+      distances.push(Math.min(sameWay, swapped) / 2);
+    });
+  }
+  
+  if (distances.length === 0) return 0;
+  return distances.reduce((sum, distance) => sum + distance, 0) / distances.length;
+}
+
+// Function to describe the measures a solution was rated on
+function getRatingText(measures) {
+  const parts = [
+    `Time ${formatTime(measures.time)}`,
+    `${measures.hints} hint${measures.hints === 1 ? '' : 's'}`,
+    `${measures.drags} move${measures.drags === 1 ? '' : 's'}`
+  ];
+  if (measures.parDistance !== undefined) {
+    parts.push(`${Math.round(measures.parDistance)}px from par`);
+  }
+  return parts.join(' · ');
+}
+
+// Function to show a rating as filled and empty stars
+function formatStars(stars) {
+  return '★'.repeat(stars) + '☆'.repeat(3 - stars);
+}
+
+// Function to format a time in seconds as m:ss
+function formatTime(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  const remainingSeconds = Math.floor(seconds % 60);
+  return `${minutes}:${String(remainingSeconds).padStart(2, '0')}`;
 }
 
 // Handle puzzle failed
@@ -2575,6 +3676,8 @@ function puzzleFailed() {
     // Set up retry button
     document.getElementById('retryPuzzleBtn').onclick = resetPuzzle;
   }
+  
+  announce('Puzzle failed. Choose Try Again to restart it.');
 }
 
 // Check if the puzzle has a time limit condition
@@ -2664,9 +3767,1119 @@ function startPuzzleTimer() {
 
 // Mouse released function
 function mouseReleased() {
+  // Finish a randomization region in the puzzle editor
+  if (isEditorMode && editorMouseReleased()) {
+    return;
+  }
+  
+  // Commit a finished drag to the undo history
+  if (dragStartState) {
+    commitDragToHistory();
+    announceReflectionCounts();
+    
+    // Every drag in a puzzle counts towards its star rating
+    if (isPuzzleMode) {
+      puzzleDragCount++;
+    }
+  }
+  
   // Reset dragging state regardless of puzzle state
   isDragging = false;
   draggedObject = null;
+  draggedBallIndex = null;
   draggedMirrorPoint = null;
   draggedMirrorIndex = null;
-} 
\ No newline at end of file
+  draggedObstacleIndex = null;
+  isTurningEye = false;
+  activeSnap = null;
+  unsnappedDragPoint = null;
+} 
+
+// Function to update the blue and black side coordinates of a mirror from its
+// center line, normal and width
+function updateMirrorSides(mirror) {
+  const halfWidth = mirror.width / 2;
+  
+  if (mirror.type === 'arc') {
+    updateArcMirrorEnds(mirror, halfWidth);
+    return;
+  }
+  
+  // Update blue side coordinates
+  mirror.blueX1 = mirror.x1 + mirror.normal.x * halfWidth;
+  mirror.blueY1 = mirror.y1 + mirror.normal.y * halfWidth;
+  mirror.blueX2 = mirror.x2 + mirror.normal.x * halfWidth;
+  mirror.blueY2 = mirror.y2 + mirror.normal.y * halfWidth;
+  
+  // Update black side coordinates
+  mirror.blackX1 = mirror.x1 - mirror.normal.x * halfWidth;
+  mirror.blackY1 = mirror.y1 - mirror.normal.y * halfWidth;
+  mirror.blackX2 = mirror.x2 - mirror.normal.x * halfWidth;
+  mirror.blackY2 = mirror.y2 - mirror.normal.y * halfWidth;
+}
+
+// Function to update the end points of a curved mirror from its arc. The ends
+// are what the user grabs to resize it, like the ends of a flat mirror.
+function updateArcMirrorEnds(mirror, halfWidth) {
+  const blueOffset = mirror.reflectiveSide === 'convex' ? halfWidth : -halfWidth;
+  const angles = [mirror.startAngle, mirror.endAngle];
+  
+  for (let i = 0; i < 2; i++) {
+    const cosAngle = Math.cos(angles[i]);
+    const sinAngle = Math.sin(angles[i]);
+    
+    mirror['x' + (i + 1)] = mirror.cx + cosAngle * mirror.radius;
+    mirror['y' + (i + 1)] = mirror.cy + sinAngle * mirror.radius;
+    mirror['blueX' + (i + 1)] = mirror.cx + cosAngle * (mirror.radius + blueOffset);
+    mirror['blueY' + (i + 1)] = mirror.cy + sinAngle * (mirror.radius + blueOffset);
+    mirror['blackX' + (i + 1)] = mirror.cx + cosAngle * (mirror.radius - blueOffset);
+    mirror['blackY' + (i + 1)] = mirror.cy + sinAngle * (mirror.radius - blueOffset);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Undo/redo history
+//
+// Every edit is recorded as a command object:
+//   { type: 'moveBall', index, before, after }              - ball positions
+//   { type: 'moveEye', index, before, after }               - eye positions
+//   { type: 'moveMirror', index, before, after }            - mirror snapshots
+//   { type: 'moveObstacle', index, before, after }          - obstacle snapshots
+//   { type: 'addMirror' | 'deleteMirror', index, mirror }   - the mirror object
+//   { type: 'scene', before, after }                        - whole-scene snapshots
+// Undo applies the "before" side of the newest command, redo the "after" side.
+// ---------------------------------------------------------------------------
+
+// Record an edit so it can be undone
+function recordHistory(command) {
+  undoStack.push(command);
+  
+  // Drop the oldest edits once the history is full
+  if (undoStack.length > HISTORY_LIMIT) {
+    undoStack.shift();
+  }
+  
+  // A new edit invalidates anything that was undone before it
+  redoStack = [];
+}
+
+// Forget all recorded edits (e.g. when a puzzle starts)
+function clearHistory() {
+  undoStack = [];
+  redoStack = [];
+  dragStartState = null;
+}
+
+// Undo the most recent edit
+function undo() {
+  if (isDragging || undoStack.length === 0) return;
+  
+  const command = undoStack[undoStack.length - 1];
+  if (!canApplyHistoryCommand(command)) {
+    console.log(`Can't undo ${command.type}: the object is locked`);
+    return;
+  }
+  
+  undoStack.pop();
+  applyHistoryCommand(command, false);
+  redoStack.push(command);
+  calculateReflections();
+}
+
+// Redo the most recently undone edit
+function redo() {
+  if (isDragging || redoStack.length === 0) return;
+  
+  const command = redoStack[redoStack.length - 1];
+  if (!canApplyHistoryCommand(command)) {
+    console.log(`Can't redo ${command.type}: the object is locked`);
+    return;
+  }
+  
+  redoStack.pop();
+  applyHistoryCommand(command, true);
+  undoStack.push(command);
+  calculateReflections();
+}
+
+// Check if a command only touches objects the player may currently move
+function canApplyHistoryCommand(command) {
+  if (!canMoveObjects()) return false;
+  
+  // In sandbox mode, everything is movable
+  if (!isPuzzleMode) return true;
+  
+  const everyMovable = (kind, list) => list.every((object, i) => isObjectMovable(kind, i));
+  switch (command.type) {
+    case 'moveBall':
+      return isObjectMovable('ball', command.index);
+    case 'moveEye':
+      return isObjectMovable('eye', command.index);
+    case 'moveMirror':
+    case 'deleteMirror':
+      return isObjectMovable('mirrors', command.index);
+    case 'addMirror':
+      return everyMovable('mirrors', mirrors);
+    case 'moveObstacle':
+      return isObjectMovable('obstacles', command.index);
+    case 'scene':
+      return everyMovable('ball', balls) && everyMovable('eye', eyes) &&
+             everyMovable('mirrors', mirrors) && everyMovable('obstacles', obstacles);
+    default:
+      return false;
+  }
+}
+
+// Apply one side of a command: the "after" state when redoing, "before" when undoing
+function applyHistoryCommand(command, isRedo) {
+  const state = isRedo ? command.after : command.before;
+  
+  switch (command.type) {
+    case 'moveBall':
+      balls[command.index].x = state.x;
+      balls[command.index].y = state.y;
+      break;
+      
+    case 'moveEye':
+      eyes[command.index].x = state.x;
+      eyes[command.index].y = state.y;
+      eyes[command.index].direction = state.direction;
+      break;
+      
+    case 'moveMirror':
+      restoreMirror(mirrors[command.index], state);
+      break;
+      
+    case 'moveObstacle':
+      obstacles[command.index] = snapshotObstacle(state);
+      break;
+      
+    case 'addMirror':
+    case 'deleteMirror': {
+      // Redoing an add (or undoing a delete) puts the mirror back in place
+      const insert = (command.type === 'addMirror') === isRedo;
+      if (insert) {
+        mirrors.splice(command.index, 0, command.mirror);
+      } else {
+        mirrors.splice(mirrors.indexOf(command.mirror), 1);
+      }
+      break;
+    }
+      
+    case 'scene':
+      restoreScene(state);
+      break;
+  }
+}
+
+// Snapshot the object that is about to be dragged
+function captureDragState() {
+  if (draggedObject === 'ball') return captureObjectState('ball', draggedBallIndex);
+  if (draggedObject === 'eye') return captureObjectState('eye', draggedEyeIndex);
+  if (draggedObject === 'mirror') {
+    return captureObjectState('mirrors', draggedMirrorPoint ? draggedMirrorPoint.index : draggedMirrorIndex);
+  }
+  if (draggedObject === 'obstacle') return captureObjectState('obstacles', draggedObstacleIndex);
+  
+  return null;
+}
+
+// Start a history entry for moving one object ('ball', 'eye', 'mirrors' or
+// 'obstacles', by index); commitDragToHistory finishes it
+function captureObjectState(kind, index) {
+  if (kind === 'ball') {
+    const ball = balls[index];
+    return { type: 'moveBall', index: index, before: { x: ball.x, y: ball.y } };
+  }
+  
+  if (kind === 'eye') {
+    const observer = eyes[index];
+    return { type: 'moveEye', index: index, before: { x: observer.x, y: observer.y, direction: observer.direction } };
+  }
+  
+  if (kind === 'mirrors') {
+    return { type: 'moveMirror', index: index, before: snapshotMirror(mirrors[index]) };
+  }
+  
+  return { type: 'moveObstacle', index: index, before: snapshotObstacle(obstacles[index]) };
+}
+
+// Record a finished drag if it actually moved something
+function commitDragToHistory() {
+  const command = dragStartState;
+  dragStartState = null;
+  
+  if (command.type === 'moveBall') {
+    command.after = { x: balls[command.index].x, y: balls[command.index].y };
+  } else if (command.type === 'moveEye') {
+    const observer = eyes[command.index];
+    command.after = { x: observer.x, y: observer.y, direction: observer.direction };
+  } else if (command.type === 'moveObstacle') {
+    command.after = snapshotObstacle(obstacles[command.index]);
+  } else {
+    command.after = snapshotMirror(mirrors[command.index]);
+  }
+  
+  if (JSON.stringify(command.before) !== JSON.stringify(command.after)) {
+    recordHistory(command);
+  }
+}
+
+// Copy the defining properties of a mirror (also its arrangement JSON format)
+function snapshotMirror(mirror) {
+  if (mirror.type === 'arc') {
+    return {
+      type: 'arc',
+      cx: mirror.cx,
+      cy: mirror.cy,
+      radius: mirror.radius,
+      startAngle: mirror.startAngle,
+      endAngle: mirror.endAngle,
+      reflectiveSide: mirror.reflectiveSide,
+      width: mirror.width,
+      sides: mirror.sides,
+      reflectivity: mirror.reflectivity
+    };
+  }
+  
+  return {
+    x1: mirror.x1,
+    y1: mirror.y1,
+    x2: mirror.x2,
+    y2: mirror.y2,
+    normal: { x: mirror.normal.x, y: mirror.normal.y },
+    width: mirror.width,
+    sides: mirror.sides,
+    reflectivity: mirror.reflectivity
+  };
+}
+
+// Put a mirror back into a snapshotted state
+function restoreMirror(mirror, snapshot) {
+  // Which sides reflect, and how much (older arrangements have neither)
+  mirror.sides = snapshot.sides || 'front';
+  mirror.reflectivity = snapshot.reflectivity === undefined ? 1 : snapshot.reflectivity;
+  
+  if (snapshot.type === 'arc') {
+    mirror.type = 'arc';
+    mirror.cx = snapshot.cx;
+    mirror.cy = snapshot.cy;
+    mirror.radius = snapshot.radius;
+    mirror.startAngle = snapshot.startAngle;
+    mirror.endAngle = snapshot.endAngle;
+    mirror.reflectiveSide = snapshot.reflectiveSide === 'convex' ? 'convex' : 'concave';
+    mirror.width = snapshot.width;
+    updateMirrorSides(mirror);
+    return;
+  }
+  
+  mirror.x1 = snapshot.x1;
+  mirror.y1 = snapshot.y1;
+  mirror.x2 = snapshot.x2;
+  mirror.y2 = snapshot.y2;
+  mirror.normal = { x: snapshot.normal.x, y: snapshot.normal.y };
+  mirror.width = snapshot.width;
+  updateMirrorSides(mirror);
+}
+
+// Copy an obstacle (also its arrangement JSON format)
+function snapshotObstacle(obstacle) {
+  if (obstacle.type === 'circle') {
+    return { type: 'circle', x: obstacle.x, y: obstacle.y, radius: obstacle.radius };
+  }
+  
+  if (obstacle.type === 'polygon') {
+    return { type: 'polygon', points: obstacle.points.map(point => ({ x: point.x, y: point.y })) };
+  }
+  
+  return { type: 'segment', x1: obstacle.x1, y1: obstacle.y1, x2: obstacle.x2, y2: obstacle.y2 };
+}
+
+// Copy a ball (also its arrangement JSON format)
+function snapshotBall(ball) {
+  return {
+    id: ball.id,
+    x: ball.x,
+    y: ball.y,
+    radius: ball.radius,
+    color: ball.color,
+    label: ball.label
+  };
+}
+
+// Copy an eye into its arrangement format
+function snapshotEye(observer) {
+  return {
+    id: observer.id,
+    x: observer.x,
+    y: observer.y,
+    direction: observer.direction,
+    fov: observer.fov,
+    label: observer.label
+  };
+}
+
+// Copy the whole scene (balls, eyes, mirrors and obstacles)
+function snapshotScene() {
+  return {
+    balls: balls.map(snapshotBall),
+    eyes: eyes.map(snapshotEye),
+    mirrors: mirrors.map(snapshotMirror),
+    obstacles: obstacles.map(snapshotObstacle)
+  };
+}
+
+// Replace the whole scene with a snapshot
+function restoreScene(snapshot) {
+  balls = snapshot.balls.map(createBall);
+  eyes = snapshot.eyes.map(createEye);
+  activeEyeIndex = Math.min(activeEyeIndex, eyes.length - 1);
+  mirrors = snapshot.mirrors.map(mirrorSnapshot => {
+    const mirror = { thickness: MIRROR_THICKNESS };
+    restoreMirror(mirror, mirrorSnapshot);
+    return mirror;
+  });
+  obstacles = snapshot.obstacles.map(snapshotObstacle);
+}
+
+// Which side of the x1→x2 direction the normal points to: 1 for the left-hand
+// perpendicular that new mirrors get, -1 for a flipped mirror
+function getMirrorSide(mirror) {
+  const cross = (mirror.x2 - mirror.x1) * mirror.normal.y - (mirror.y2 - mirror.y1) * mirror.normal.x;
+  return cross >= 0 ? 1 : -1;
+}
+
+// Recalculate a mirror's normal from its endpoints, on the given side
+function setMirrorNormal(mirror, side) {
+  const mirrorVector = {
+    x: mirror.x2 - mirror.x1,
+    y: mirror.y2 - mirror.y1
+  };
+  const mirrorLength = Math.sqrt(mirrorVector.x * mirrorVector.x + mirrorVector.y * mirrorVector.y);
+  
+  // A zero-length mirror has no direction, so keep the old normal
+  if (mirrorLength === 0) return;
+  
+  mirror.normal = {
+    x: -mirrorVector.y / mirrorLength * side,
+    y: mirrorVector.x / mirrorLength * side
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Mirror selection and property inspector
+// ---------------------------------------------------------------------------
+
+// Check if the selected mirror may be edited in the current game state
+function canEditMirrors() {
+  if (!canMoveObjects()) return false;
+  
+  // Typed values would get around a constraint, so only free mirrors are edited here
+  return !selectedMirror || getObjectConstraint('mirrors', mirrors.indexOf(selectedMirror)).type === 'free';
+}
+
+// Select a mirror (or null to clear the selection) and show it in the inspector
+function selectMirror(mirror) {
+  selectedMirror = mirror;
+  updateMirrorInspector();
+}
+
+// Function to create, refresh or remove the mirror inspector panel
+function updateMirrorInspector() {
+  let inspector = document.getElementById('mirrorInspector');
+  
+  // Forget selections that no longer exist (deleted, undone or replaced by an import)
+  if (selectedMirror && !mirrors.includes(selectedMirror)) {
+    selectedMirror = null;
+  }
+  
+  // Flat and curved mirrors have different fields, so rebuild when the type changes
+  const mirrorType = selectedMirror ? (selectedMirror.type || 'line') : null;
+  if (inspector && inspector.dataset.mirrorType !== mirrorType) {
+    inspector.remove();
+    inspector = null;
+  }
+  
+  if (!selectedMirror) {
+    return;
+  }
+  
+  if (!inspector) {
+    inspector = document.createElement('div');
+    inspector.id = 'mirrorInspector';
+    inspector.className = 'inspector-panel';
+    inspector.dataset.mirrorType = mirrorType;
+    inspector.innerHTML = `
+      <h3 id="mirrorInspectorTitle"></h3>
+      <div class="inspector-fields">${getMirrorInspectorFields(mirrorType)}
+        <label>Reflectivity <input type="number" data-field="reflectivity" step="0.05" min="0" max="1"></label>
+        <label>Reflects <select data-field="sides">
+          <option value="front">Front</option>
+          <option value="back">Back</option>
+          <option value="both">Both sides</option>
+        </select></label>
+      </div>
+      <button id="flipMirrorBtn">Flip Reflective Side</button>
+      <button id="deleteMirrorBtn">Delete Mirror</button>
+    `;
+    document.body.appendChild(inspector);
+    
+    // Apply a field when the user commits a new value
+    for (let input of inspector.querySelectorAll('input')) {
+      input.onchange = function() {
+        setSelectedMirrorProperty(input.dataset.field, parseFloat(input.value));
+      };
+    }
+    const sidesSelect = inspector.querySelector('select');
+    sidesSelect.onchange = function() {
+      setSelectedMirrorProperty('sides', sidesSelect.value);
+    };
+    document.getElementById('flipMirrorBtn').onclick = flipSelectedMirror;
+    document.getElementById('deleteMirrorBtn').onclick = deleteSelectedMirror;
+  }
+  
+  const mirror = selectedMirror;
+  const values = mirror.type === 'arc' ? {
+    cx: mirror.cx,
+    cy: mirror.cy,
+    radius: mirror.radius,
+    startAngle: degrees(mirror.startAngle),
+    endAngle: degrees(mirror.endAngle),
+    width: mirror.width,
+    reflectivity: ReflectionEngine.getReflectivity(mirror)
+  } : {
+    x1: mirror.x1,
+    y1: mirror.y1,
+    x2: mirror.x2,
+    y2: mirror.y2,
+    length: dist(mirror.x1, mirror.y1, mirror.x2, mirror.y2),
+    angle: degrees(Math.atan2(mirror.y2 - mirror.y1, mirror.x2 - mirror.x1)),
+    width: mirror.width,
+    reflectivity: ReflectionEngine.getReflectivity(mirror)
+  };
+  const editable = canEditMirrors();
+  
+  const title = mirror.type === 'arc' ? `${mirror.reflectiveSide === 'convex' ? 'Convex' : 'Concave'} Mirror` : 'Mirror';
+  document.getElementById('mirrorInspectorTitle').textContent = `${title} ${mirrors.indexOf(mirror) + 1}`;
+  for (let input of inspector.querySelectorAll('input')) {
+    input.disabled = !editable;
+    
+    // Don't overwrite a value the user is typing
+    if (input !== document.activeElement) {
+      input.value = Math.round(values[input.dataset.field] * 100) / 100;
+    }
+  }
+  const sidesSelect = inspector.querySelector('select');
+  sidesSelect.disabled = !editable;
+  sidesSelect.value = mirror.sides || 'front';
+  document.getElementById('flipMirrorBtn').disabled = !editable;
+  document.getElementById('deleteMirrorBtn').disabled = !editable;
+}
+
+// Function to build the inspector input fields for a mirror type
+function getMirrorInspectorFields(mirrorType) {
+  if (mirrorType === 'arc') {
+    return `
+        <label>Center x <input type="number" data-field="cx" step="1"></label>
+        <label>Center y <input type="number" data-field="cy" step="1"></label>
+        <label>Radius <input type="number" data-field="radius" step="1" min="1"></label>
+        <label>Start (°) <input type="number" data-field="startAngle" step="1"></label>
+        <label>End (°) <input type="number" data-field="endAngle" step="1"></label>
+        <label>Width <input type="number" data-field="width" step="1" min="1"></label>`;
+  }
+  
+  return `
+        <label>x1 <input type="number" data-field="x1" step="1"></label>
+        <label>y1 <input type="number" data-field="y1" step="1"></label>
+        <label>x2 <input type="number" data-field="x2" step="1"></label>
+        <label>y2 <input type="number" data-field="y2" step="1"></label>
+        <label>Length <input type="number" data-field="length" step="1" min="1"></label>
+        <label>Angle (°) <input type="number" data-field="angle" step="1"></label>
+        <label>Width <input type="number" data-field="width" step="1" min="1"></label>`;
+}
+
+// Apply an edited inspector field to the selected mirror
+function setSelectedMirrorProperty(field, value) {
+  const mirror = selectedMirror;
+  if (!mirror || !canEditMirrors() || (field !== 'sides' && !isFinite(value))) {
+    updateMirrorInspector();
+    return;
+  }
+  
+  // Surface properties work the same for flat and curved mirrors
+  if (field === 'sides' || field === 'reflectivity') {
+    const before = snapshotMirror(mirror);
+    mirror[field] = field === 'sides' ? value : constrain(value, 0, 1);
+    recordHistory({ type: 'moveMirror', index: mirrors.indexOf(mirror), before: before, after: snapshotMirror(mirror) });
+    calculateReflections();
+    return;
+  }
+  
+  if (mirror.type === 'arc') {
+    setArcMirrorProperty(mirror, field, value);
+    return;
+  }
+  
+  const before = snapshotMirror(mirror);
+  const side = getMirrorSide(mirror);
+  const midX = (mirror.x1 + mirror.x2) / 2;
+  const midY = (mirror.y1 + mirror.y2) / 2;
+  const length = dist(mirror.x1, mirror.y1, mirror.x2, mirror.y2);
+  const angle = Math.atan2(mirror.y2 - mirror.y1, mirror.x2 - mirror.x1);
+  
+  switch (field) {
+    case 'x1':
+    case 'y1':
+    case 'x2':
+    case 'y2':
+      mirror[field] = value;
+      break;
+      
+    case 'length':
+    case 'angle': {
+      // Length and angle both pivot around the mirror's midpoint
+      const newLength = field === 'length' ? Math.max(1, value) : length;
+      const newAngle = field === 'angle' ? radians(value) : angle;
+      mirror.x1 = midX - Math.cos(newAngle) * newLength / 2;
+      mirror.y1 = midY - Math.sin(newAngle) * newLength / 2;
+      mirror.x2 = midX + Math.cos(newAngle) * newLength / 2;
+      mirror.y2 = midY + Math.sin(newAngle) * newLength / 2;
+      break;
+    }
+      
+    case 'width':
+      mirror.width = Math.max(1, value);
+      break;
+  }
+  
+  setMirrorNormal(mirror, side);
+  updateMirrorSides(mirror);
+  recordHistory({ type: 'moveMirror', index: mirrors.indexOf(mirror), before: before, after: snapshotMirror(mirror) });
+  calculateReflections();
+}
+
+// Apply an edited inspector field to a curved mirror
+function setArcMirrorProperty(mirror, field, value) {
+  const before = snapshotMirror(mirror);
+  
+  switch (field) {
+    case 'cx':
+    case 'cy':
+      mirror[field] = value;
+      break;
+      
+    case 'radius':
+      mirror.radius = Math.max(1, value);
+      break;
+      
+    case 'startAngle':
+    case 'endAngle': {
+      // Keep the arc running from start to end, and never let it vanish
+      mirror[field] = radians(value);
+      const span = ((mirror.endAngle - mirror.startAngle) % TWO_PI + TWO_PI) % TWO_PI;
+      mirror.endAngle = mirror.startAngle + Math.max(0.01, span);
+      break;
+    }
+      
+    case 'width':
+      mirror.width = Math.max(1, value);
+      break;
+  }
+  
+  updateMirrorSides(mirror);
+  recordHistory({ type: 'moveMirror', index: mirrors.indexOf(mirror), before: before, after: snapshotMirror(mirror) });
+  calculateReflections();
+}
+
+// Swap the reflective (blue) and non-reflective (black) sides of the selected
+// mirror; for a curved mirror this switches between concave and convex
+function flipSelectedMirror() {
+  const mirror = selectedMirror;
+  if (!mirror || !canEditMirrors()) return;
+  
+  const before = snapshotMirror(mirror);
+  if (mirror.type === 'arc') {
+    mirror.reflectiveSide = mirror.reflectiveSide === 'convex' ? 'concave' : 'convex';
+  } else {
+    mirror.normal = { x: -mirror.normal.x, y: -mirror.normal.y };
+  }
+  updateMirrorSides(mirror);
+  recordHistory({ type: 'moveMirror', index: mirrors.indexOf(mirror), before: before, after: snapshotMirror(mirror) });
+  calculateReflections();
+}
+
+// Remove the selected mirror from the scene
+function deleteSelectedMirror() {
+  const mirror = selectedMirror;
+  if (!mirror || !canEditMirrors()) return;
+  
+  const index = mirrors.indexOf(mirror);
+  mirrors.splice(index, 1);
+  recordHistory({ type: 'deleteMirror', index: index, mirror: mirror });
+  
+  selectedMirror = null;
+  calculateReflections();
+}
+
+// ---------------------------------------------------------------------------
+// Snapping
+// ---------------------------------------------------------------------------
+
+// Function to find where the dragged end of a flat mirror goes. With snapping
+// on it joins another mirror's end, turns parallel or perpendicular to another
+// mirror or to a multiple of the snap angle around the fixed end, or lands on
+// the grid. Holding Shift keeps the mirror's length while it turns.
+function getSnappedEndpoint(mirror, point, px, py) {
+  const fixed = point === 1 ? { x: mirror.x2, y: mirror.y2 } : { x: mirror.x1, y: mirror.y1 };
+  const keepLength = keyIsDown(SHIFT);
+  let length = keepLength ? dist(mirror.x1, mirror.y1, mirror.x2, mirror.y2) : dist(fixed.x, fixed.y, px, py);
+  let angle = Math.atan2(py - fixed.y, px - fixed.x);
+  activeSnap = null;
+  
+  if (snapSettings.enabled) {
+    // Joining another mirror would change the length, so Shift skips it
+    const endpoint = !keepLength && snapSettings.endpoints ? findSnapEndpoint(px, py, mirror) : null;
+    if (endpoint) {
+      activeSnap = { x: endpoint.x, y: endpoint.y, label: 'end' };
+      return endpoint;
+    }
+    
+    const snappedAngle = getSnapAngle(angle, mirror);
+    if (snappedAngle) {
+      angle = snappedAngle.angle;
+      activeSnap = { label: snappedAngle.label };
+    }
+    
+    if (snapSettings.grid > 0 && !keepLength) {
+      if (snappedAngle) {
+        // At a snapped angle the length snaps to whole grid steps instead
+        length = Math.max(1, Math.round(length / snapSettings.grid)) * snapSettings.grid;
+      } else {
+        const gridPoint = snapToGrid(px, py);
+        activeSnap = { x: gridPoint.x, y: gridPoint.y, label: 'grid' };
+        return gridPoint;
+      }
+    }
+  }
+  
+  const end = { x: fixed.x + Math.cos(angle) * length, y: fixed.y + Math.sin(angle) * length };
+  if (activeSnap) {
+    activeSnap.x = end.x;
+    activeSnap.y = end.y;
+  }
+  return end;
+}
+
+// Function to find how far a flat mirror dragged by its middle moves. With
+// snapping on its midpoint lands on the grid, and an end that comes near
+// another mirror's end joins it.
+function getSnappedMove(mirror, dx, dy) {
+  activeSnap = null;
+  if (!snapSettings.enabled) return { dx, dy };
+  
+  // Follow the mouse without snapping, so small moves aren't snapped away
+  const midpoint = getMirrorMidpoint(mirror);
+  if (!unsnappedDragPoint) {
+    unsnappedDragPoint = { x: midpoint.x, y: midpoint.y };
+  }
+  unsnappedDragPoint.x += dx;
+  unsnappedDragPoint.y += dy;
+  
+  let target = { x: unsnappedDragPoint.x, y: unsnappedDragPoint.y };
+  if (snapSettings.grid > 0) {
+    target = snapToGrid(target.x, target.y);
+    activeSnap = { x: target.x, y: target.y, label: 'grid' };
+  }
+  
+  if (snapSettings.endpoints) {
+    for (let end of [{ x: mirror.x1, y: mirror.y1 }, { x: mirror.x2, y: mirror.y2 }]) {
+      const movedX = end.x + target.x - midpoint.x;
+      const movedY = end.y + target.y - midpoint.y;
+      const endpoint = findSnapEndpoint(movedX, movedY, mirror);
+      if (endpoint) {
+        target.x += endpoint.x - movedX;
+        target.y += endpoint.y - movedY;
+        activeSnap = { x: endpoint.x, y: endpoint.y, label: 'end' };
+        break;
+      }
+    }
+  }
+  
+  return { dx: target.x - midpoint.x, dy: target.y - midpoint.y };
+}
+
+// Function to find the end of another mirror within snapping distance of a point
+function findSnapEndpoint(px, py, draggedMirror) {
+  let nearest = null;
+  let nearestDistance = SNAP_DISTANCE;
+  
+  for (let mirror of mirrors) {
+    if (mirror === draggedMirror) continue;
+    
+    const ends = mirror.type === 'arc' ?
+      [ReflectionEngine.arcPoint(mirror, mirror.startAngle), ReflectionEngine.arcPoint(mirror, mirror.endAngle)] :
+      [{ x: mirror.x1, y: mirror.y1 }, { x: mirror.x2, y: mirror.y2 }];
+    
+    for (let end of ends) {
+      const distance = dist(px, py, end.x, end.y);
+      if (distance < nearestDistance) {
+        nearest = { x: end.x, y: end.y };
+        nearestDistance = distance;
+      }
+    }
+  }
+  
+  return nearest;
+}
+
+// Function to snap a mirror's angle: parallel or perpendicular to another flat
+// mirror when it is nearly so, otherwise to a multiple of the snap angle.
+// Returns { angle, label }, or null when nothing snaps.
+function getSnapAngle(angle, draggedMirror) {
+  if (snapSettings.alignment) {
+    for (let mirror of mirrors) {
+      if (mirror === draggedMirror || mirror.type === 'arc') continue;
+      
+      const mirrorAngle = Math.atan2(mirror.y2 - mirror.y1, mirror.x2 - mirror.x1);
+      for (let [offset, label] of [[0, 'parallel'], [Math.PI / 2, 'perpendicular']]) {
+        // Difference between the two lines' directions, in [-90°, 90°)
+        const difference = ((angle - mirrorAngle - offset) % Math.PI + Math.PI * 1.5) % Math.PI - Math.PI / 2;
+        if (Math.abs(difference) < ALIGN_TOLERANCE) {
+          return { angle: angle - difference, label: label };
+        }
+      }
+    }
+  }
+  
+  if (snapSettings.angle > 0) {
+    const step = radians(snapSettings.angle);
+    const snapped = Math.round(angle / step) * step;
+    return { angle: snapped, label: `${Math.round(degrees(snapped))}°` };
+  }
+  
+  return null;
+}
+
+// Function to move a point to the nearest grid crossing
+function snapToGrid(px, py) {
+  const size = snapSettings.grid;
+  return { x: Math.round(px / size) * size, y: Math.round(py / size) * size };
+}
+
+// Function to draw the grid while a mirror is dragged with grid snapping on,
+// and label the snap that holds it
+function drawSnapGuides() {
+  if (!snapSettings.enabled || draggedObject !== 'mirror') return;
+  
+  // Curved and constrained mirrors don't snap
+  const index = draggedMirrorPoint ? draggedMirrorPoint.index : draggedMirrorIndex;
+  if (mirrors[index].type === 'arc' || getObjectConstraint('mirrors', index).type !== 'free') return;
+  
+  if (snapSettings.grid > 0) {
+    stroke(0, 0, 0, 20);
+    strokeWeight(1);
+    for (let x = 0; x <= width; x += snapSettings.grid) {
+      line(x, 0, x, height);
+    }
+    for (let y = 0; y <= height; y += snapSettings.grid) {
+      line(0, y, width, y);
+    }
+  }
+  
+  if (activeSnap) {
+    noFill();
+    stroke(255, 152, 0);
+    strokeWeight(2);
+    ellipse(activeSnap.x, activeSnap.y, 12);
+    
+    fill(255, 152, 0);
+    noStroke();
+    textAlign(LEFT, BOTTOM);
+    textSize(13);
+    text(activeSnap.label, activeSnap.x + 10, activeSnap.y - 6);
+  }
+}
+
+// Function to connect the snapping checkboxes and menus to the snap settings
+function setupSnapControls() {
+  const enabledBox = document.getElementById('snapEnabled');
+  if (!enabledBox) return;
+  
+  enabledBox.onchange = () => { snapSettings.enabled = enabledBox.checked; };
+  document.getElementById('snapEndpoints').onchange = event => { snapSettings.endpoints = event.target.checked; };
+  document.getElementById('snapAlignment').onchange = event => { snapSettings.alignment = event.target.checked; };
+  document.getElementById('snapAngle').onchange = event => { snapSettings.angle = Number(event.target.value); };
+  document.getElementById('snapGrid').onchange = event => { snapSettings.grid = Number(event.target.value); };
+  
+  updateSnapControls();
+}
+
+// Function to show the current snap settings in the snapping controls
+function updateSnapControls() {
+  const enabledBox = document.getElementById('snapEnabled');
+  if (!enabledBox) return;
+  
+  enabledBox.checked = snapSettings.enabled;
+  document.getElementById('snapEndpoints').checked = snapSettings.endpoints;
+  document.getElementById('snapAlignment').checked = snapSettings.alignment;
+  
+  // An arrangement may use a step the menus don't offer yet
+  for (let [id, value, unit] of [['snapAngle', snapSettings.angle, '°'], ['snapGrid', snapSettings.grid, ' px']]) {
+    const select = document.getElementById(id);
+    if (![...select.options].some(option => Number(option.value) === value)) {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = `${value}${unit}`;
+      select.appendChild(option);
+    }
+    select.value = String(value);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Keyboard controls and screen reader announcements
+// ---------------------------------------------------------------------------
+
+// Function to handle a key pressed while the canvas has focus. Returns true
+// when the key was used, so the browser's own action is skipped.
+function handleSceneKey(event) {
+  if (event.ctrlKey || event.metaKey || event.altKey) return false;
+  
+  const key = event.key.length === 1 ? event.key.toLowerCase() : event.key;
+  const nudge = event.shiftKey ? BIG_NUDGE_STEP : NUDGE_STEP;
+  const turn = event.shiftKey ? BIG_ROTATE_STEP : ROTATE_STEP;
+  
+  switch (key) {
+    case 'Tab':
+      // Past the last object (or before the first) focus leaves the canvas as usual
+      return cycleKeyboardSelection(event.shiftKey ? -1 : 1);
+    case 'ArrowLeft':
+      return nudgeSelectedObject(-nudge, 0);
+    case 'ArrowRight':
+      return nudgeSelectedObject(nudge, 0);
+    case 'ArrowUp':
+      return nudgeSelectedObject(0, -nudge);
+    case 'ArrowDown':
+      return nudgeSelectedObject(0, nudge);
+    case 'q':
+      return rotateSelectedObject(-turn);
+    case 'e':
+      return rotateSelectedObject(turn);
+    case 'Enter':
+      cycleRays();
+      return true;
+    case 'Escape':
+      keyboardSelection = null;
+      selectMirror(null);
+      return true;
+    default:
+      return false;
+  }
+}
+
+// Function to select the next (direction 1) or previous (-1) object. In a
+// puzzle only the objects the player may move are selected. Returns false
+// when the selection runs off the end of the list.
+function cycleKeyboardSelection(direction) {
+  const selectable = [];
+  for (let [kind, list] of [['ball', balls], ['mirrors', mirrors], ['eye', eyes], ['obstacles', obstacles]]) {
+    list.forEach((object, index) => {
+      if (isObjectMovable(kind, index)) selectable.push({ kind: kind, index: index });
+    });
+  }
+  
+  const current = keyboardSelection ?
+    selectable.findIndex(item => item.kind === keyboardSelection.kind && item.index === keyboardSelection.index) : -1;
+  const next = current === -1 && direction < 0 ? selectable.length - 1 : current + direction;
+  
+  keyboardSelection = selectable[next] || null;
+  lastKeyboardMove = null;
+  selectMirror(keyboardSelection && keyboardSelection.kind === 'mirrors' ? mirrors[keyboardSelection.index] : null);
+  
+  if (!keyboardSelection) return false;
+  
+  announce(describeObject(keyboardSelection.kind, keyboardSelection.index));
+  return true;
+}
+
+// Function to get the object a keyboard selection points at, if it still exists
+function getKeyboardSelectedObject() {
+  if (!keyboardSelection) return null;
+  return new Map(getObjectLists()).get(keyboardSelection.kind)[keyboardSelection.index] || null;
+}
+
+// Function to move the selected object by a number of pixels, as far as its
+// puzzle constraint allows. Returns false when nothing is selected.
+function nudgeSelectedObject(dx, dy) {
+  const object = getKeyboardSelectedObject();
+  if (!object) return false;
+  if (!canMoveObjects()) return true;
+  
+  const { kind, index } = keyboardSelection;
+  const constraint = getObjectConstraint(kind, index);
+  if (!isObjectMovable(kind, index) || !PuzzleSolver.canTranslate(constraint)) {
+    const turns = kind === 'mirrors' ? PuzzleSolver.canRotate(constraint) : (kind === 'eye' && canTurnEye(index));
+    announce(`${getObjectName(kind, index)} can't be moved${turns ? ', only turned' : ''}.`);
+    return true;
+  }
+  
+  dragStartState = captureObjectState(kind, index);
+  
+  if (kind === 'ball' || kind === 'eye') {
+    const margin = kind === 'ball' ? object.radius : EYE_SIZE / 2;
+    const position = PuzzleSolver.constrainPosition(constraint, { x: object.x + dx, y: object.y + dy });
+    object.x = constrain(position.x, margin, width - margin);
+    object.y = constrain(position.y, margin, height - margin);
+  } else {
+    const center = kind === 'mirrors' ? getMirrorMidpoint(object) : getObstacleCenter(object);
+    const target = PuzzleSolver.constrainPosition(constraint, {
+      x: constrain(center.x + dx, 0, width),
+      y: constrain(center.y + dy, 0, height)
+    });
+    
+    if (kind === 'obstacles') {
+      moveObstacle(object, target.x - center.x, target.y - center.y);
+    } else if (object.type === 'arc') {
+      moveArcMirror(object, target.x - center.x, target.y - center.y);
+    } else {
+      object.x1 += target.x - center.x;
+      object.y1 += target.y - center.y;
+      object.x2 += target.x - center.x;
+      object.y2 += target.y - center.y;
+    }
+    
+    if (kind === 'mirrors') {
+      updateMirrorSides(object);
+      updateMirrorInspector();
+    }
+  }
+  
+  finishKeyboardMove();
+  return true;
+}
+
+// Function to turn the selected mirror or eye by a number of degrees
+// (clockwise on screen). Returns false when neither is selected.
+function rotateSelectedObject(degreesToTurn) {
+  const object = getKeyboardSelectedObject();
+  if (!object || (keyboardSelection.kind !== 'mirrors' && keyboardSelection.kind !== 'eye')) return false;
+  if (!canMoveObjects()) return true;
+  
+  const { kind, index } = keyboardSelection;
+  const turns = kind === 'eye' ? canTurnEye(index) :
+    isObjectMovable(kind, index) && PuzzleSolver.canRotate(getObjectConstraint(kind, index));
+  if (!turns) {
+    announce(`${getObjectName(kind, index)} can't be turned.`);
+    return true;
+  }
+  
+  dragStartState = captureObjectState(kind, index);
+  if (kind === 'eye') {
+    object.direction = ReflectionEngine.getEyeDirection(object) + radians(degreesToTurn);
+  } else {
+    PuzzleSolver.rotateMirror(object, radians(degreesToTurn));
+    updateMirrorSides(object);
+    updateMirrorInspector();
+  }
+  
+  finishKeyboardMove();
+  return true;
+}
+
+// Function to record a key move in the history and tell the player what
+// changed: the reflection counts, or else where the object is now. A run of
+// key moves on one object counts as a single move towards the star rating.
+function finishKeyboardMove() {
+  commitDragToHistory();
+  calculateReflections();
+  
+  const moved = `${keyboardSelection.kind}:${keyboardSelection.index}`;
+  if (isPuzzleMode && lastKeyboardMove !== moved) {
+    puzzleDragCount++;
+  }
+  lastKeyboardMove = moved;
+  
+  if (getReflectionCountText() !== lastAnnouncedCounts) {
+    announceReflectionCounts();
+  } else {
+    announce(describeObject(keyboardSelection.kind, keyboardSelection.index));
+  }
+}
+
+// Function to name an object the way the puzzle panel does, e.g. "Mirror 2"
+function getObjectName(kind, index) {
+  if (kind === 'ball') {
+    return balls[index].label || (balls.length > 1 ? `Ball ${index + 1}` : 'Ball');
+  }
+  if (kind === 'eye') {
+    return eyes[index].label || (eyes.length > 1 ? `Eye ${index + 1}` : 'Eye');
+  }
+  
+  return `${kind === 'mirrors' ? 'Mirror' : 'Obstacle'} ${index + 1}`;
+}
+
+// Function to describe an object for a screen reader: its name, where it is,
+// which way a flat mirror points and how the puzzle lets it move
+function describeObject(kind, index) {
+  const object = new Map(getObjectLists()).get(kind)[index];
+  const position = kind === 'mirrors' ? getMirrorMidpoint(object) :
+    (kind === 'obstacles' ? getObstacleCenter(object) : object);
+  
+  let description = `${getObjectName(kind, index)} at ${Math.round(position.x)}, ${Math.round(position.y)}`;
+  if (kind === 'mirrors' && object.type !== 'arc') {
+    description += `, angle ${Math.round(degrees(Math.atan2(object.y2 - object.y1, object.x2 - object.x1)))} degrees`;
+  } else if (kind === 'eye' && object.fov !== undefined) {
+    const direction = ReflectionEngine.getEyeDirection(object);
+    description += `, looking at ${Math.round(degrees(Math.atan2(Math.sin(direction), Math.cos(direction))))} degrees`;
+  }
+  
+  return description + (CONSTRAINT_DESCRIPTIONS[getObjectConstraint(kind, index).type] || '');
+}
+
+// Function to describe how many reflections the active eye sees of each order
+function getReflectionCountText() {
+  const counts = countReflectionsByOrder(undefined, getActiveEye().id);
+  const parts = Object.keys(counts)
+    .filter(order => counts[order] > 0)
+    .map(order => `${counts[order]} of order ${order}`);
+  
+  return parts.length > 0 ? `Reflections seen: ${parts.join(', ')}.` : 'No reflections seen.';
+}
+
+// Function to announce the reflection counts when they have changed since the last announcement
+function announceReflectionCounts() {
+  const text = getReflectionCountText();
+  if (text === lastAnnouncedCounts) return;
+  
+  lastAnnouncedCounts = text;
+  announce(text);
+}
+
+// Function to have screen readers read out a message through the page's live region
+function announce(message) {
+  const region = document.getElementById('sceneAnnouncer');
+  if (region) {
+    region.textContent = message;
+  }
+}
+
+// Function to ring the object selected from the keyboard while the canvas has focus
+function drawKeyboardSelection() {
+  const object = getKeyboardSelectedObject();
+  if (!object || document.activeElement !== drawingContext.canvas) return;
+  
+  const kind = keyboardSelection.kind;
+  noFill();
+  stroke(0, 120, 255);
+  strokeWeight(2);
+  
+  if (kind === 'ball') {
+    ellipse(object.x, object.y, object.radius * 2 + 12);
+  } else if (kind === 'eye') {
+    ellipse(object.x, object.y, EYE_SIZE + 12);
+  } else if (kind === 'obstacles') {
+    const center = getObstacleCenter(object);
+    ellipse(center.x, center.y, 30);
+  }
+  // Selected mirrors are already highlighted by drawMirrors
+}
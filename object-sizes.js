@@ -0,0 +1,26 @@
+/**
+ * Light Detective - Object Sizes
+ *
+ * The sizes of the balls and mirrors the game creates, shared by the sketch
+ * and the puzzle generator so generated arrangements match hand-made ones.
+ *
+ * In the browser the sizes are exposed as the global `ObjectSizes`; in Node
+ * they are the module's exports.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ObjectSizes = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const BALL_RADIUS = 25;
+
+  return {
+    BALL_RADIUS,
+    MIRROR_LENGTH: BALL_RADIUS * 10, // Fixed mirror length (5 times ball diameter)
+    MIRROR_WIDTH: 4                  // Width of the mirror object (distance between blue and black sides)
+  };
+});
@@ -0,0 +1,642 @@
+/**
+ * Light Detective - Puzzle Editor
+ *
+ * Authors puzzles on the current scene. Win and lose conditions are taken from
+ * what the scene shows, objects are clicked to let players move them,
+ * randomization regions are dragged out on the canvas, and the result is
+ * exported as a puzzle bundle: a puzzle JSON with its arrangement inside, which
+ * loadPuzzle accepts like any other puzzle file.
+ */
+
+// Editor variables
+let isEditorMode = false;
+let editorTool = 'arrange'; // 'arrange' (move objects), 'movable' (toggle) or 'region' (draw)
+let editorRegionKind = 'mirrors'; // Objects a drawn region randomizes: 'ball', 'eye' or 'mirrors'
+let editorRegionStart = null; // Corner of the region being drawn
+let editorMovableObjects = new Map(); // Objects players may move, each with its movableObjects setting
+let editorPuzzle = null; // The puzzle being authored, without its arrangement
+let editorTestScene = null; // Scene to return to when a test play ends
+let editorTestMovable = null; // movableObjects of the puzzle being test played
+
+// Colors of the randomization regions
+const EDITOR_REGION_COLORS = {
+  ball: [0, 100, 255],
+  eye: [140, 70, 200],
+  mirrors: [0, 170, 170]
+};
+const EDITOR_HINT_TYPES = ['text', 'highlightMirror', 'ghostMirror', 'rayPath'];
+
+// Puzzle fields the editor writes itself; any others (stars, hintCooldown,
+// targets, ...) are carried through to the exported puzzle unchanged
+const EDITOR_PUZZLE_FIELDS = ['name', 'description', 'difficulty', 'arrangement', 'movableObjects',
+  'winCondition', 'winConditions', 'loseCondition', 'loseConditions', 'randomize', 'hints'];
+
+// Function to open or close the puzzle editor. Opening it during a puzzle
+// edits that puzzle on its current scene.
+function toggleEditorMode() {
+  if (isEditorMode) {
+    closeEditor();
+    return;
+  }
+
+  if (isPuzzleMode && currentPuzzle) {
+    const scene = snapshotScene();
+    const puzzle = currentPuzzle;
+    exitPuzzleMode();
+    restoreScene(scene);
+    calculateReflections();
+    openEditor(puzzle);
+  } else {
+    openEditor(null);
+  }
+}
+
+// Function to start editing a puzzle, or a new one on the current scene
+function openEditor(puzzle) {
+  isEditorMode = true;
+  editorTool = 'arrange';
+  editorRegionStart = null;
+
+  editorPuzzle = {
+    name: puzzle ? puzzle.name : 'New Puzzle',
+    description: puzzle ? puzzle.description : '',
+    difficulty: puzzle && puzzle.difficulty ? puzzle.difficulty : 'normal',
+    winConditions: puzzle ? getConditionList(puzzle.winConditions, puzzle.winCondition) : [],
+    loseConditions: puzzle ? getConditionList(puzzle.loseConditions, puzzle.loseCondition) : [],
+    randomize: puzzle && puzzle.randomize ? JSON.parse(JSON.stringify(puzzle.randomize)) : {},
+    hints: puzzle && puzzle.hints ? puzzle.hints.map(hint =>
+      typeof hint === 'string' ? { type: 'text', text: hint } : Object.assign({}, hint)) : [],
+    otherFields: {}
+  };
+
+  for (let field of Object.keys(puzzle || {})) {
+    if (!EDITOR_PUZZLE_FIELDS.includes(field)) {
+      editorPuzzle.otherFields[field] = JSON.parse(JSON.stringify(puzzle[field]));
+    }
+  }
+
+  // A new puzzle starts with every mirror movable
+  editorMovableObjects = puzzle ? getMovableObjectMap(puzzle.movableObjects) : new Map(mirrors.map(mirror => [mirror, true]));
+
+  showEditorPanel();
+}
+
+// Function to close the editor, keeping the scene
+function closeEditor() {
+  isEditorMode = false;
+  editorRegionStart = null;
+
+  const panel = document.getElementById('editorPanel');
+  if (panel) {
+    panel.remove();
+  }
+}
+
+// Function to turn a puzzle's single or multiple conditions into a list
+function getConditionList(conditions, condition) {
+  const list = conditions || (condition ? [condition] : []);
+  return JSON.parse(JSON.stringify(list));
+}
+
+// Function to find the scene objects a movableObjects setting lets players
+// move. Constrained objects keep their constraint; the others map to true.
+function getMovableObjectMap(movableObjects) {
+  const movable = new Map();
+  const puzzle = { movableObjects: movableObjects || {} };
+
+  for (let [kind, list] of getObjectLists()) {
+    list.forEach((object, i) => {
+      if (!PuzzleSolver.isObjectMovable(puzzle, kind, i)) return;
+      const constraint = PuzzleSolver.getObjectConstraint(puzzle, kind, i);
+      movable.set(object, constraint.type === 'free' ? true : constraint);
+    });
+  }
+
+  return movable;
+}
+
+// Function to build the editor panel
+function showEditorPanel() {
+  let panel = document.getElementById('editorPanel');
+  if (!panel) {
+    panel = document.createElement('div');
+    panel.id = 'editorPanel';
+    panel.className = 'puzzle-panel editor-panel';
+    document.body.appendChild(panel);
+  }
+
+  panel.innerHTML = `
+    <h3>Puzzle Editor</h3>
+    <label>Name <input type="text" id="editorName"></label>
+    <label>Description <textarea id="editorDescription" rows="3"></textarea></label>
+    <label>Difficulty <select id="editorDifficulty">
+      <option value="easy">Easy</option>
+      <option value="normal">Normal</option>
+      <option value="hard">Hard</option>
+    </select></label>
+
+    <h4>Conditions</h4>
+    <ul id="editorConditions"></ul>
+    <button id="editorWinCounts">Win: Current Reflection Counts</button>
+    <button id="editorWinImages">Win: Current Image Positions</button>
+    <button id="editorLoseTotal">Lose: More Reflections Than Now</button>
+
+    <h4>Tools</h4>
+    <div class="editor-tools">
+      <button data-tool="arrange">Arrange</button>
+      <button data-tool="movable">Toggle Movable</button>
+      <button data-tool="region">Draw Region</button>
+    </div>
+    <label>Region for <select id="editorRegionKind">
+      <option value="ball">Ball</option>
+      <option value="eye">Eye</option>
+      <option value="mirrors">Mirrors</option>
+    </select></label>
+    <p class="editor-help" id="editorToolHelp"></p>
+    <ul id="editorRegions"></ul>
+
+    <h4>Hints</h4>
+    <div id="editorHints"></div>
+    <button id="editorAddHint">Add Hint</button>
+
+    <h4>Puzzle</h4>
+    <button id="editorTestPlay">Test Play</button>
+    <button id="editorExport">Export Puzzle</button>
+    <button id="editorClose">Close Editor</button>
+  `;
+
+  // Text fields are set as values, since they may hold anything
+  const nameInput = document.getElementById('editorName');
+  const descriptionInput = document.getElementById('editorDescription');
+  const difficultySelect = document.getElementById('editorDifficulty');
+  const regionKindSelect = document.getElementById('editorRegionKind');
+  nameInput.value = editorPuzzle.name;
+  descriptionInput.value = editorPuzzle.description;
+  regionKindSelect.value = editorRegionKind;
+
+  // A puzzle may have a difficulty the menu doesn't offer, which is kept
+  if (![...difficultySelect.options].some(option => option.value === editorPuzzle.difficulty)) {
+    const option = document.createElement('option');
+    option.value = editorPuzzle.difficulty;
+    option.textContent = editorPuzzle.difficulty;
+    difficultySelect.appendChild(option);
+  }
+  difficultySelect.value = editorPuzzle.difficulty;
+
+  nameInput.oninput = () => { editorPuzzle.name = nameInput.value; };
+  descriptionInput.oninput = () => { editorPuzzle.description = descriptionInput.value; };
+  difficultySelect.onchange = () => { editorPuzzle.difficulty = difficultySelect.value; };
+  regionKindSelect.onchange = () => { editorRegionKind = regionKindSelect.value; };
+
+  document.getElementById('editorWinCounts').onclick = setWinConditionsFromCounts;
+  document.getElementById('editorWinImages').onclick = setWinConditionFromImages;
+  document.getElementById('editorLoseTotal').onclick = setLoseConditionFromTotal;
+  for (let button of panel.querySelectorAll('.editor-tools button')) {
+    button.onclick = () => setEditorTool(button.dataset.tool);
+  }
+  document.getElementById('editorAddHint').onclick = () => {
+    editorPuzzle.hints.push({ type: 'text', text: '' });
+    updateEditorHints();
+  };
+  document.getElementById('editorTestPlay').onclick = testPlayPuzzle;
+  document.getElementById('editorExport').onclick = exportPuzzleBundle;
+  document.getElementById('editorClose').onclick = closeEditor;
+
+  setEditorTool(editorTool);
+  updateEditorConditions();
+  updateEditorRegions();
+  updateEditorHints();
+}
+
+// Function to pick the tool canvas clicks are used for
+function setEditorTool(tool) {
+  editorTool = tool;
+
+  for (let button of document.querySelectorAll('.editor-tools button')) {
+    button.classList.toggle('active', button.dataset.tool === tool);
+  }
+
+  const help = {
+    arrange: 'Drag objects to lay out the puzzle.',
+    movable: 'Click an object to let players move it or not. Movable objects are outlined in green.',
+    region: 'Drag a rectangle where the chosen objects are placed at random.'
+  };
+  document.getElementById('editorToolHelp').textContent = help[tool];
+}
+
+// Function to make the current reflection counts the win conditions: exactly
+// as many reflections of each order as the scene shows now
+function setWinConditionsFromCounts() {
+  const counts = countReflectionsByOrder();
+
+  editorPuzzle.winConditions = Object.keys(counts)
+    .filter(order => counts[order] > 0)
+    .map(order => ({ type: 'exactReflections', order: Number(order), count: counts[order] }));
+
+  updateEditorConditions();
+}
+
+// Function to make the current image positions the win condition: every
+// visible reflection's place gets a target circle
+function setWinConditionFromImages() {
+  const images = reflections
+    .filter(reflection => isReflectionVisible(reflection))
+    .map(reflection => ({
+      x: Math.round(reflection.x),
+      y: Math.round(reflection.y),
+      order: reflection.depth
+    }));
+
+  editorPuzzle.winConditions = [{ type: 'matchImages', tolerance: 10, oneToOne: true, images: images }];
+  updateEditorConditions();
+}
+
+// Function to make showing more reflections than the scene does now a loss
+function setLoseConditionFromTotal() {
+  const counts = countReflectionsByOrder();
+  const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+  editorPuzzle.loseConditions = [{ type: 'totalReflections', operator: '>', count: total }];
+  updateEditorConditions();
+}
+
+// Function to list the puzzle's conditions in the editor panel
+function updateEditorConditions() {
+  const list = document.getElementById('editorConditions');
+  list.innerHTML = '';
+
+  const entries = editorPuzzle.winConditions.map(condition => ['Win', editorPuzzle.winConditions, condition])
+    .concat(editorPuzzle.loseConditions.map(condition => ['Lose', editorPuzzle.loseConditions, condition]));
+
+  if (entries.length === 0) {
+    const item = document.createElement('li');
+    item.textContent = 'No conditions yet';
+    list.appendChild(item);
+  }
+
+  for (let [label, conditions, condition] of entries) {
+    const item = document.createElement('li');
+    item.textContent = `${label}: ${describeCondition(condition)} `;
+
+    const removeButton = document.createElement('button');
+    removeButton.className = 'editor-remove';
+    removeButton.textContent = '×';
+    removeButton.onclick = () => {
+      conditions.splice(conditions.indexOf(condition), 1);
+      updateEditorConditions();
+    };
+    item.appendChild(removeButton);
+    list.appendChild(item);
+  }
+}
+
+// Function to describe a puzzle condition in a few words
+function describeCondition(condition) {
+  const subject = [condition.ball, condition.eye].filter(Boolean).join(', ');
+  const suffix = subject ? ` (${subject})` : '';
+
+  switch (condition.type) {
+    case 'exactReflections':
+      return `exactly ${condition.count} of order ${condition.order}${suffix}`;
+    case 'minReflections':
+      return `at least ${condition.count} of order ${condition.order}${suffix}`;
+    case 'maxReflections':
+      return `at most ${condition.count} of order ${condition.order}${suffix}`;
+    case 'totalReflections':
+      return `total ${condition.operator} ${condition.count}${suffix}`;
+    case 'matchImages':
+      return `images in ${condition.images.length} circles`;
+    case 'timeLimit':
+      return `${condition.seconds} seconds`;
+    default:
+      return condition.type;
+  }
+}
+
+// Function to list the randomization regions in the editor panel
+function updateEditorRegions() {
+  const list = document.getElementById('editorRegions');
+  list.innerHTML = '';
+
+  for (let kind of Object.keys(editorPuzzle.randomize)) {
+    const item = document.createElement('li');
+    item.textContent = `Random ${kind === 'mirrors' ? 'mirrors' : kind} ${editorPuzzle.randomize[kind].region ? 'in a region' : 'anywhere'} `;
+
+    const removeButton = document.createElement('button');
+    removeButton.className = 'editor-remove';
+    removeButton.textContent = '×';
+    removeButton.onclick = () => {
+      delete editorPuzzle.randomize[kind];
+      updateEditorRegions();
+    };
+    item.appendChild(removeButton);
+    list.appendChild(item);
+  }
+}
+
+// Function to list the hints in the editor panel, in the order players get them
+function updateEditorHints() {
+  const container = document.getElementById('editorHints');
+  container.innerHTML = '';
+
+  editorPuzzle.hints.forEach((hint, i) => {
+    const row = document.createElement('div');
+    row.className = 'editor-hint';
+
+    // A hint type the menu doesn't offer is listed too, so it is kept
+    const typeSelect = document.createElement('select');
+    const types = EDITOR_HINT_TYPES.includes(hint.type) ? EDITOR_HINT_TYPES : EDITOR_HINT_TYPES.concat(hint.type);
+    for (let type of types) {
+      const option = document.createElement('option');
+      option.value = type;
+      option.textContent = type;
+      typeSelect.appendChild(option);
+    }
+    typeSelect.value = hint.type;
+    typeSelect.onchange = () => {
+      hint.type = typeSelect.value;
+      updateEditorHints();
+    };
+    row.appendChild(typeSelect);
+
+    // Mirror hints point at a mirror, ray path hints at a reflection order
+    if (hint.type !== 'text') {
+      const field = hint.type === 'rayPath' ? 'order' : 'mirror';
+      const numberInput = document.createElement('input');
+      numberInput.type = 'number';
+      numberInput.min = field === 'order' ? 1 : 0;
+      numberInput.title = field === 'order' ? 'Reflection order' : 'Mirror index';
+      numberInput.value = hint[field] !== undefined ? hint[field] : (field === 'order' ? 1 : 0);
+      numberInput.onchange = () => { hint[field] = parseInt(numberInput.value, 10); };
+      row.appendChild(numberInput);
+    }
+
+    const textInput = document.createElement('input');
+    textInput.type = 'text';
+    textInput.placeholder = hint.type === 'text' ? 'Hint text' : 'Text (optional)';
+    textInput.value = hint.text || '';
+    textInput.oninput = () => { hint.text = textInput.value; };
+    row.appendChild(textInput);
+
+    const upButton = document.createElement('button');
+    upButton.className = 'editor-remove';
+    upButton.textContent = '↑';
+    upButton.title = 'Show this hint earlier';
+    upButton.disabled = i === 0;
+    upButton.onclick = () => {
+      editorPuzzle.hints.splice(i - 1, 0, editorPuzzle.hints.splice(i, 1)[0]);
+      updateEditorHints();
+    };
+    row.appendChild(upButton);
+
+    const removeButton = document.createElement('button');
+    removeButton.className = 'editor-remove';
+    removeButton.textContent = '×';
+    removeButton.onclick = () => {
+      editorPuzzle.hints.splice(i, 1);
+      updateEditorHints();
+    };
+    row.appendChild(removeButton);
+
+    container.appendChild(row);
+  });
+}
+
+// Function to handle a click on the canvas with the movable or region tool.
+// Returns true when the editor used the click.
+function editorMousePressed() {
+  if (mouseX < 0 || mouseX > width || mouseY < 0 || mouseY > height) return false;
+
+  if (editorTool === 'movable') {
+    const object = findEditorObjectAt(mouseX, mouseY);
+    if (object) {
+      if (editorMovableObjects.has(object)) {
+        editorMovableObjects.delete(object);
+      } else {
+        editorMovableObjects.set(object, true);
+      }
+    }
+    return true;
+  }
+
+  if (editorTool === 'region') {
+    editorRegionStart = { x: mouseX, y: mouseY };
+    return true;
+  }
+
+  return false;
+}
+
+// Function to follow the mouse while a region is drawn
+function editorMouseDragged() {
+  return editorRegionStart !== null;
+}
+
+// Function to finish drawing a region. A region is stored the way
+// applyRandomization reads it: x and y are its top left corner, width and
+// height its right and bottom edges.
+function editorMouseReleased() {
+  if (!editorRegionStart) return false;
+
+  const region = getEditorRegionRect();
+  editorRegionStart = null;
+
+  // A click without a drag doesn't make a region
+  if (region.right - region.left < 20 || region.bottom - region.top < 20) return true;
+
+  const settings = editorRegionKind === 'mirrors' ? { position: true, rotation: true } : {};
+  settings.region = {
+    x: Math.round(region.left),
+    y: Math.round(region.top),
+    width: Math.round(region.right),
+    height: Math.round(region.bottom)
+  };
+  editorPuzzle.randomize[editorRegionKind] = settings;
+
+  updateEditorRegions();
+  return true;
+}
+
+// Function to get the region being drawn, from where the drag started to the mouse
+function getEditorRegionRect() {
+  return {
+    left: constrain(Math.min(editorRegionStart.x, mouseX), 0, width),
+    top: constrain(Math.min(editorRegionStart.y, mouseY), 0, height),
+    right: constrain(Math.max(editorRegionStart.x, mouseX), 0, width),
+    bottom: constrain(Math.max(editorRegionStart.y, mouseY), 0, height)
+  };
+}
+
+// Function to find the ball, mirror, eye or obstacle under a point
+function findEditorObjectAt(px, py) {
+  const found = findObjectAt(px, py);
+  if (!found) return null;
+
+  return new Map(getObjectLists()).get(found.kind)[found.index];
+}
+
+// Function to draw the randomization regions and outline the movable objects
+function drawEditorOverlay() {
+  // Randomization regions, plus the one being drawn
+  const regions = Object.keys(editorPuzzle.randomize)
+    .filter(kind => editorPuzzle.randomize[kind].region)
+    .map(kind => {
+      const region = editorPuzzle.randomize[kind].region;
+      return { kind: kind, left: region.x, top: region.y, right: region.width, bottom: region.height };
+    });
+  if (editorRegionStart) {
+    regions.push(Object.assign({ kind: editorRegionKind }, getEditorRegionRect()));
+  }
+
+  textSize(14);
+  textAlign(LEFT, TOP);
+  for (let region of regions) {
+    const [r, g, b] = EDITOR_REGION_COLORS[region.kind];
+    fill(r, g, b, 30);
+    stroke(r, g, b);
+    strokeWeight(2);
+    rect(region.left, region.top, region.right - region.left, region.bottom - region.top);
+
+    noStroke();
+    fill(r, g, b);
+    text(`random ${region.kind}`, region.left + 5, region.top + 5);
+  }
+
+  // Movable objects get a green outline
+  noFill();
+  stroke(0, 180, 0, 160);
+  for (let object of editorMovableObjects.keys()) {
+    if (balls.includes(object)) {
+      strokeWeight(3);
+      ellipse(object.x, object.y, object.radius * 2 + 14);
+    } else if (eyes.includes(object)) {
+      strokeWeight(3);
+      ellipse(object.x, object.y, EYE_SIZE + 14);
+    } else if (mirrors.includes(object)) {
+      strokeWeight(12);
+      if (object.type === 'arc') {
+        arc(object.cx, object.cy, object.radius * 2, object.radius * 2, object.startAngle, object.endAngle, OPEN);
+      } else {
+        line(object.x1, object.y1, object.x2, object.y2);
+      }
+    } else if (obstacles.includes(object)) {
+      const center = getObstacleCenter(object);
+      strokeWeight(3);
+      ellipse(center.x, center.y, 30);
+    }
+  }
+}
+
+// Function to put the authored puzzle together: the puzzle JSON with the
+// current scene as its arrangement. Returns null when it can't be played yet.
+function buildPuzzleBundle() {
+  // Reverse-engineering puzzles are won by matching their targets alone
+  if (editorPuzzle.winConditions.length === 0 && !editorPuzzle.otherFields.targets) {
+    alert('Set a win condition first');
+    return null;
+  }
+
+  // Every object of a kind moving freely is written as true, some of them as
+  // their indices, and constrained ones as a map from index to constraint
+  const movableObjects = {};
+  for (let [kind, list] of getObjectLists()) {
+    const indices = list.map((object, i) => editorMovableObjects.has(object) ? i : -1).filter(i => i !== -1);
+
+    if (indices.some(i => editorMovableObjects.get(list[i]) !== true)) {
+      movableObjects[kind] = {};
+      for (let i of indices) movableObjects[kind][i] = editorMovableObjects.get(list[i]);
+    } else if (indices.length === 0) {
+      movableObjects[kind] = false;
+    } else {
+      movableObjects[kind] = indices.length === list.length ? true : indices;
+    }
+  }
+
+  const puzzle = {
+    name: editorPuzzle.name || 'New Puzzle',
+    description: editorPuzzle.description,
+    arrangement: Object.assign(snapshotScene(), { snap: Object.assign({}, snapSettings) }),
+    movableObjects: movableObjects,
+    winConditions: editorPuzzle.winConditions,
+    loseConditions: editorPuzzle.loseConditions
+  };
+  if (Object.keys(editorPuzzle.randomize).length > 0) {
+    puzzle.randomize = editorPuzzle.randomize;
+  }
+  puzzle.difficulty = editorPuzzle.difficulty;
+
+  // Text hints are written as plain strings, like hand-written puzzles
+  puzzle.hints = editorPuzzle.hints
+    .filter(hint => hint.type !== 'text' || hint.text)
+    .map(hint => hint.type === 'text' ? hint.text : hint);
+
+  Object.assign(puzzle, editorPuzzle.otherFields);
+
+  return JSON.parse(JSON.stringify(puzzle));
+}
+
+// Function to save the puzzle bundle to a JSON file for the puzzles folder
+function exportPuzzleBundle() {
+  const puzzle = buildPuzzleBundle();
+  if (!puzzle) return;
+
+  const slug = puzzle.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'puzzle';
+  const filename = `${slug}.json`;
+
+  // Create a blob with the JSON data and download it
+  const blob = new Blob([JSON.stringify(puzzle, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+
+  console.log(`Exported puzzle to ${filename}`);
+}
+
+// Function to play the authored puzzle. Exiting the puzzle comes back to the
+// editor with the scene as it was.
+function testPlayPuzzle() {
+  const puzzle = buildPuzzleBundle();
+  if (!puzzle) return;
+
+  const scene = snapshotScene();
+  closeEditor();
+
+  // Starting a puzzle ends any earlier test play, so this one begins after it
+  resetPuzzleState();
+  editorTestScene = scene;
+  editorTestMovable = puzzle.movableObjects;
+  Promise.resolve()
+    .then(() => startPuzzle(puzzle, puzzle.arrangement))
+    .catch(showPuzzleError);
+}
+
+// Function to check whether the puzzle being played is an editor test play
+function isEditorTestPlay() {
+  return editorTestScene !== null;
+}
+
+// Function to forget the editor scene a test play would return to, when
+// another puzzle takes its place
+function clearEditorTestPlay() {
+  editorTestScene = null;
+  editorTestMovable = null;
+}
+
+// Function to go back to the editor after a test play
+function returnToEditor() {
+  restoreScene(editorTestScene);
+  editorTestScene = null;
+  calculateReflections();
+  clearHistory();
+
+  // The scene's objects were recreated, so find the movable ones again
+  editorMovableObjects = getMovableObjectMap(editorTestMovable);
+
+  isEditorMode = true;
+  showEditorPanel();
+}
@@ -0,0 +1,366 @@
+/**
+ * Light Detective - Puzzle Generator
+ *
+ * Builds new puzzles from a few parameters instead of by hand. A random
+ * arrangement is laid out from a seed, its reflection tree is measured to rate
+ * how hard it is, and the counts it shows become the puzzle's win conditions.
+ * The objects the player may move are then scrambled, so the hidden layout is
+ * a known solution. Like the solver it has no p5 or DOM dependencies, so the
+ * game uses it for the daily puzzle and Node scripts can write puzzle files.
+ *
+ * The result is a pair of puzzle and arrangement JSON objects in the same
+ * format as the files in puzzles/ and arrangements/.
+ *
+ * In the browser the API is exposed as the global `PuzzleGenerator`; in Node it
+ * is the module's exports.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./reflection-engine.js'), require('./puzzle-solver.js'),
+      require('./object-sizes.js'), require('./seeded-random.js'));
+  } else {
+    root.PuzzleGenerator = factory(root.ReflectionEngine, root.PuzzleSolver, root.ObjectSizes, root.SeededRandom);
+  }
+})(typeof self !== 'undefined' ? self : this, function (ReflectionEngine, PuzzleSolver, ObjectSizes, SeededRandom) {
+  'use strict';
+
+  // Defaults used for parameters generatePuzzle isn't given
+  const DEFAULT_PARAMS = {
+    mirrorCount: 2,                          // Mirrors in the arrangement
+    targetOrders: [1],                       // Reflection orders the win conditions count
+    movableObjects: { mirrors: true, ball: false, eye: false },
+    difficulty: 'normal',                    // 'easy', 'normal' or 'hard'
+    bounds: { width: 1200, height: 800 },    // Room the objects are laid out in
+    reflectionOptions: { maxDepth: 10, minSizeRatio: 0.05 },
+    maxAttempts: 5000                        // Random layouts to try before giving up
+  };
+
+  // Difficulty scores (see rateDifficulty) each rating covers
+  const DIFFICULTY_RANGES = {
+    easy: { min: 0, max: 6 },
+    normal: { min: 6, max: 11 },
+    hard: { min: 11, max: Infinity }
+  };
+
+  // Sizes of the generated objects, the game's own (object-sizes.js)
+  const { BALL_RADIUS, MIRROR_LENGTH, MIRROR_WIDTH } = ObjectSizes;
+  const CLEARANCE = 40; // Minimum gap between a mirror and the ball or eye
+
+  /**
+   * Measures the reflection tree of an arrangement.
+   *
+   * `depthCounts` has the number of visible reflections of each order.
+   * `occlusions` counts the images the tree is missing: for every ball and
+   * visible reflection, each flat mirror whose reflective face points at it
+   * forms an image, and those no eye can see (blocked, off the mirror or too
+   * small) are occluded.
+   *
+   * @param {Object} arrangement - Arrangement JSON
+   * @param {Object} [options] - { bounds, reflectionOptions }
+   * @returns {Object} { depthCounts, deepestOrder, total, occlusions }
+   */
+  function getDifficultyMetrics(arrangement, options) {
+    const opts = Object.assign({}, DEFAULT_PARAMS, options);
+    const scene = PuzzleSolver.createScene(arrangement, opts.bounds);
+    const reflections = ReflectionEngine.computeReflections(scene, opts.reflectionOptions);
+    const visible = reflections.filter(reflection =>
+      ReflectionEngine.isReflectionVisible(reflection, scene));
+
+    const depthCounts = {};
+    let deepestOrder = 0;
+    for (let reflection of visible) {
+      depthCounts[reflection.depth] = (depthCounts[reflection.depth] || 0) + 1;
+      deepestOrder = Math.max(deepestOrder, reflection.depth);
+    }
+
+    // Images each source forms that made it into the tree
+    const formed = new Map();
+    for (let reflection of visible) {
+      const source = reflection.parentReflection || reflection.sourceBall;
+      if (!formed.has(source)) formed.set(source, new Set());
+      formed.get(source).add(reflection.sourceMirror);
+    }
+
+    let occlusions = 0;
+    const sources = ReflectionEngine.getSceneBalls(scene).concat(
+      visible.filter(reflection => reflection.depth < opts.reflectionOptions.maxDepth));
+    for (let source of sources) {
+      for (let mirror of scene.mirrors) {
+        if (mirror.type === 'arc' || mirror === source.sourceMirror) continue;
+        if (!facesPoint(mirror, source)) continue;
+        if (!formed.has(source) || !formed.get(source).has(mirror)) occlusions++;
+      }
+    }
+
+    return {
+      depthCounts: depthCounts,
+      deepestOrder: deepestOrder,
+      total: visible.length,
+      occlusions: occlusions
+    };
+  }
+
+  // Whether a point is in front of a reflective face of a flat mirror
+  function facesPoint(mirror, point) {
+    const side = ReflectionEngine.dotProduct(
+      { x: point.x - mirror.x1, y: point.y - mirror.y1 }, mirror.normal);
+    if (side > 0) return ReflectionEngine.reflectsFace(mirror, 'front');
+    if (side < 0) return ReflectionEngine.reflectsFace(mirror, 'back');
+    return false;
+  }
+
+  /**
+   * Scores how hard a puzzle is: deeper reflections, hidden images, more
+   * reflections to count and more objects to move all make it harder.
+   * @param {Object} metrics - Result of getDifficultyMetrics
+   * @param {Array} targetOrders - Reflection orders the win conditions count
+   * @param {number} movableCount - Objects the player can move
+   * @returns {Object} { score, rating } where rating is 'easy', 'normal' or 'hard'
+   */
+  function rateDifficulty(metrics, targetOrders, movableCount) {
+    const targetCount = targetOrders.reduce((sum, order) => sum + (metrics.depthCounts[order] || 0), 0);
+    const score = 2 * metrics.deepestOrder + metrics.occlusions + targetCount + movableCount;
+
+    const rating = Object.keys(DIFFICULTY_RANGES).find(name =>
+      score >= DIFFICULTY_RANGES[name].min && score < DIFFICULTY_RANGES[name].max);
+
+    return { score: score, rating: rating };
+  }
+
+  /**
+   * Generates a puzzle. The same parameters and seed always give the same
+   * puzzle.
+   *
+   * The win conditions ask for exactly as many reflections of each target
+   * order as the hidden layout shows, and the layout is only used when it has
+   * at least one reflection of every target order and its difficulty matches
+   * the requested rating. The movable objects are then scrambled, and layouts
+   * whose scramble already meets the conditions are passed over.
+   *
+   * When no layout matches within maxAttempts, the closest one is used: first
+   * the one showing the most target orders (the others are left out of the
+   * win conditions), then the one whose difficulty score is nearest the
+   * requested rating. The puzzle records the rating it really has.
+   *
+   * @param {Object} params - { seed, mirrorCount, targetOrders, movableObjects,
+   *   difficulty, name, arrangementFile, bounds, reflectionOptions, maxAttempts }
+   * @returns {Object|null} { puzzle, arrangement, solution }, or null only when
+   *   no layout showed any target order (or the mirrors didn't fit the room)
+   */
+  function generatePuzzle(params) {
+    const opts = Object.assign({}, DEFAULT_PARAMS, params);
+    const seed = opts.seed !== undefined ? opts.seed : Math.floor(Math.random() * 1000000);
+    const random = SeededRandom.createSeededRandom(seed);
+    const solverOptions = {
+      random: () => random(),
+      bounds: opts.bounds,
+      reflectionOptions: opts.reflectionOptions
+    };
+
+    const nearMisses = []; // Layouts to fall back on, best first once sorted
+
+    for (let attempt = 0; attempt < opts.maxAttempts; attempt++) {
+      const solution = createRandomArrangement(random, opts.mirrorCount, opts.bounds);
+      if (!solution) continue;
+
+      const metrics = getDifficultyMetrics(solution, opts);
+
+      // Every target order must show up, or its condition is trivial
+      const shownOrders = opts.targetOrders.filter(order => metrics.depthCounts[order] > 0);
+      if (shownOrders.length === 0) continue;
+
+      const movableCount = countMovableObjects(opts.movableObjects, solution);
+      const difficulty = rateDifficulty(metrics, shownOrders, movableCount);
+      const missingOrders = opts.targetOrders.length - shownOrders.length;
+      const scoreMiss = getScoreMiss(difficulty.score, opts.difficulty);
+      if (missingOrders > 0 || scoreMiss > 0) {
+        nearMisses.push({ solution, metrics, difficulty, shownOrders, missingOrders, scoreMiss });
+        continue;
+      }
+
+      const generated = createGeneratedPuzzle(opts, seed, solution, metrics, difficulty, solverOptions);
+      if (generated) return generated;
+    }
+
+    // No layout matched, so settle for the closest
+    nearMisses.sort((a, b) => a.missingOrders - b.missingOrders || a.scoreMiss - b.scoreMiss);
+    for (let nearMiss of nearMisses) {
+      const nearOpts = Object.assign({}, opts, { targetOrders: nearMiss.shownOrders });
+      const generated = createGeneratedPuzzle(nearOpts, seed, nearMiss.solution,
+        nearMiss.metrics, nearMiss.difficulty, solverOptions);
+      if (generated) return generated;
+    }
+
+    return null;
+  }
+
+  // How far a difficulty score is from the range of a rating, 0 when inside it
+  function getScoreMiss(score, rating) {
+    const range = DIFFICULTY_RANGES[rating];
+    if (score < range.min) return range.min - score;
+    if (score >= range.max) return score - range.max + 1;
+    return 0;
+  }
+
+  // Builds the puzzle of a solved layout and scrambles its movable objects.
+  // Returns null when the scramble already meets the conditions, as a puzzle
+  // that starts solved isn't one.
+  function createGeneratedPuzzle(opts, seed, solution, metrics, difficulty, solverOptions) {
+    const puzzle = createPuzzle(opts, seed, metrics, difficulty);
+    const arrangement = PuzzleSolver.scrambleArrangement(puzzle, solution, solverOptions);
+
+    if (PuzzleSolver.scoreArrangement(puzzle, arrangement, solverOptions) === 0) return null;
+
+    return { puzzle: puzzle, arrangement: arrangement, solution: solution };
+  }
+
+  /**
+   * Generates the puzzle of a day. Everyone gets the same puzzle on the same
+   * date.
+   * @param {string} date - Day as 'YYYY-MM-DD'
+   * @param {Object} [params] - Parameters for generatePuzzle
+   * @returns {Object|null} { puzzle, arrangement, solution }
+   */
+  function generateDailyPuzzle(date, params) {
+    return generatePuzzle(Object.assign({
+      mirrorCount: 2,
+      targetOrders: [1, 2],
+      name: `Daily Puzzle ${date}`,
+      arrangementFile: `daily-${date}.json`
+    }, params, { seed: `daily-${date}` }));
+  }
+
+  // Lays out a ball in the upper part of the room, an eye in the lower part
+  // and mirrors turned roughly towards the two, none of them touching. Returns
+  // null when the mirrors don't fit.
+  function createRandomArrangement(random, mirrorCount, bounds) {
+    const ball = {
+      x: random(BALL_RADIUS + CLEARANCE, bounds.width - BALL_RADIUS - CLEARANCE),
+      y: random(BALL_RADIUS + CLEARANCE, bounds.height * 0.5),
+      radius: BALL_RADIUS
+    };
+    const eye = {
+      x: random(CLEARANCE, bounds.width - CLEARANCE),
+      y: random(bounds.height * 0.6, bounds.height - CLEARANCE)
+    };
+
+    const mirrors = [];
+    for (let tries = 0; mirrors.length < mirrorCount && tries < 100 * mirrorCount; tries++) {
+      const mirror = createRandomMirror(random, ball, eye, bounds);
+
+      const clear = distanceToSegment(ball, mirror) > BALL_RADIUS + CLEARANCE &&
+        distanceToSegment(eye, mirror) > CLEARANCE &&
+        mirrors.every(other => !ReflectionEngine.lineIntersection(
+          mirror.x1, mirror.y1, mirror.x2, mirror.y2, other.x1, other.y1, other.x2, other.y2));
+      if (clear) mirrors.push(mirror);
+    }
+
+    // The room is too crowded for this many mirrors
+    if (mirrors.length < mirrorCount) return null;
+
+    return { ball: ball, eye: eye, mirrors: mirrors };
+  }
+
+  // A flat mirror inside the room whose reflective side faces a point between
+  // the ball and the eye, give or take 45 degrees
+  function createRandomMirror(random, ball, eye, bounds) {
+    const half = MIRROR_LENGTH / 2;
+    const center = {
+      x: random(half, bounds.width - half),
+      y: random(half, bounds.height - half)
+    };
+
+    const share = random();
+    const target = { x: ball.x + (eye.x - ball.x) * share, y: ball.y + (eye.y - ball.y) * share };
+    const facing = Math.atan2(target.y - center.y, target.x - center.x) + random(-Math.PI / 4, Math.PI / 4);
+    const normal = { x: Math.cos(facing), y: Math.sin(facing) };
+
+    // The mirror runs across its normal
+    return {
+      x1: center.x - normal.y * half,
+      y1: center.y + normal.x * half,
+      x2: center.x + normal.y * half,
+      y2: center.y - normal.x * half,
+      normal: normal,
+      width: MIRROR_WIDTH
+    };
+  }
+
+  // Shortest distance from a point to a flat mirror
+  function distanceToSegment(point, mirror) {
+    const dx = mirror.x2 - mirror.x1;
+    const dy = mirror.y2 - mirror.y1;
+    const t = Math.max(0, Math.min(1,
+      ((point.x - mirror.x1) * dx + (point.y - mirror.y1) * dy) / (dx * dx + dy * dy)));
+    return ReflectionEngine.distance(point.x, point.y, mirror.x1 + t * dx, mirror.y1 + t * dy);
+  }
+
+  // Number of objects in an arrangement the player can move
+  function countMovableObjects(movableObjects, arrangement) {
+    let count = 0;
+    if (movableObjects.ball) count += ReflectionEngine.getSceneBalls(arrangement).length;
+    if (movableObjects.eye) count += ReflectionEngine.getSceneEyes(arrangement).length;
+    if (movableObjects.mirrors) count += arrangement.mirrors.length;
+    return count;
+  }
+
+  // The puzzle JSON for a generated layout
+  function createPuzzle(opts, seed, metrics, difficulty) {
+    const targetOrders = opts.targetOrders.slice().sort((a, b) => a - b);
+    const winConditions = targetOrders.map(order => ({
+      type: 'exactReflections',
+      order: order,
+      count: metrics.depthCounts[order]
+    }));
+
+    const counts = winConditions.map(condition =>
+      `${condition.count} ${getOrderName(condition.order)}`);
+    const countText = counts.length > 1
+      ? `${counts.slice(0, -1).join(', ')} and ${counts[counts.length - 1]}`
+      : counts[0];
+    const plural = winConditions.length > 1 || winConditions[0].count !== 1;
+
+    return {
+      name: opts.name || `Generated Puzzle ${seed}`,
+      description: `Move the ${describeMovable(opts.movableObjects)} so the eye sees exactly ` +
+        `${countText} reflection${plural ? 's' : ''}.`,
+      arrangement: opts.arrangementFile || `generated-${seed}.json`,
+      movableObjects: Object.assign({ mirrors: false, ball: false, eye: false }, opts.movableObjects),
+      winConditions: winConditions,
+      difficulty: difficulty.rating,
+      hints: [
+        'Each mirror only reflects from its blue side.',
+        'A reflection of a reflection needs light to bounce off two mirrors on its way to the eye.'
+      ],
+      generator: {
+        seed: seed,
+        score: difficulty.score,
+        depthCounts: metrics.depthCounts,
+        occlusions: metrics.occlusions
+      }
+    };
+  }
+
+  // 'first-order', 'second-order', ...
+  function getOrderName(order) {
+    const names = ['first', 'second', 'third', 'fourth', 'fifth'];
+    return `${names[order - 1] || order + 'th'}-order`;
+  }
+
+  // 'mirrors', 'ball and mirrors', ...
+  function describeMovable(movableObjects) {
+    const names = ['ball', 'eye', 'mirrors'].filter(name => movableObjects[name]);
+    if (names.length === 0) return 'objects';
+    if (names.length === 1) return names[0];
+    return `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+  }
+
+  return {
+    DEFAULT_PARAMS,
+    DIFFICULTY_RANGES,
+    getDifficultyMetrics,
+    rateDifficulty,
+    generatePuzzle,
+    generateDailyPuzzle
+  };
+});
@@ -0,0 +1,692 @@
+/**
+ * Light Detective - Puzzle Solver
+ *
+ * Checks puzzle win conditions against a scene and searches the objects a
+ * puzzle lets the player move for a layout that satisfies them. Like the
+ * reflection engine it has no p5 or DOM dependencies, so it runs in the browser
+ * (to reject unsolvable random layouts) and under Node for puzzle tooling.
+ *
+ * Puzzles and arrangements use the same JSON as the files in puzzles/ and
+ * arrangements/. The movable degrees of freedom come from the puzzle's
+ * `movableObjects`:
+ *   ball      - every ball can be placed anywhere in the room
+ *   eye       - every eye can be placed anywhere in the room, and an eye with
+ *               a field of view can be turned
+ *   mirrors   - every mirror can be moved and turned (keeping its length)
+ *   obstacles - every obstacle can be moved
+ * Instead of true, a kind can list the indices of the objects that move, e.g.
+ * `"mirrors": [0, 2]`, or map indices to constraints on how each one moves,
+ * e.g. `"mirrors": { "0": true, "2": "rotate" }` (see getObjectConstraint).
+ *
+ * In the browser the API is exposed as the global `PuzzleSolver`; in Node it
+ * is the module's exports.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./reflection-engine.js'));
+  } else {
+    root.PuzzleSolver = factory(root.ReflectionEngine);
+  }
+})(typeof self !== 'undefined' ? self : this, function (ReflectionEngine) {
+  'use strict';
+
+  // Defaults used when solvePuzzle is called without options
+  const DEFAULT_OPTIONS = {
+    maxEvaluations: 5000,                    // Scenes to try before giving up
+    restarts: 10,                            // Fresh random layouts to climb from
+    timeLimit: Infinity,                     // Milliseconds to search before giving up
+    bounds: { width: 1200, height: 800 },    // Room the objects are kept in
+    reflectionOptions: { maxDepth: 10, minSizeRatio: 0.05 },
+    random: Math.random                      // Source of numbers in [0, 1)
+  };
+
+  // Default pixel tolerance of matchImages conditions
+  const IMAGE_TOLERANCE = 5;
+
+  // Constraints that limit where an object can be, rather than whether it moves
+  const POSITION_CONSTRAINTS = ['axis', 'path', 'region'];
+
+  /**
+   * Builds a reflection engine scene from an arrangement. Balls and eyes get
+   * the same default ids the game gives them ('ball', 'ball2', ... and 'eye',
+   * 'eye2', ...) so conditions can refer to them.
+   * @param {Object} arrangement - Arrangement JSON
+   * @param {Object} [bounds] - Room size, omitted = unbounded
+   * @returns {Object} Scene for ReflectionEngine.computeReflections
+   */
+  function createScene(arrangement, bounds) {
+    const withId = (prefix) => (object, index) =>
+      Object.assign({ id: index === 0 ? prefix : prefix + (index + 1) }, object);
+
+    return {
+      balls: ReflectionEngine.getSceneBalls(arrangement).map(withId('ball')),
+      eyes: ReflectionEngine.getSceneEyes(arrangement).map(withId('eye')),
+      mirrors: arrangement.mirrors,
+      obstacles: arrangement.obstacles || [],
+      bounds: bounds
+    };
+  }
+
+  /**
+   * Counts the visible reflections of a scene by order, optionally only those
+   * of one ball or those one eye sees.
+   * @param {Array} reflections - Reflections from computeReflections
+   * @param {Object} scene - Scene the reflections belong to
+   * @param {string} [ballId] - Only count images of this ball
+   * @param {string} [eyeId] - Only count images this eye sees
+   * @param {number} [maxOrder] - Highest order to report (10 by default)
+   * @returns {Object} Count per order, from 1 to maxOrder
+   */
+  function countReflectionsByOrder(reflections, scene, ballId, eyeId, maxOrder) {
+    const counts = {};
+    for (let i = 1; i <= (maxOrder || 10); i++) {
+      counts[i] = 0;
+    }
+
+    const eyes = ReflectionEngine.getSceneEyes(scene);
+    const eye = eyeId !== undefined ? eyes.find(candidate => candidate.id === eyeId) : undefined;
+    if (eyeId !== undefined && !eye) return counts;
+
+    for (let reflection of reflections) {
+      if (ballId !== undefined && reflection.sourceBall.id !== ballId) continue;
+
+      if (ReflectionEngine.isReflectionVisible(reflection, scene, eye)) {
+        counts[reflection.depth] = (counts[reflection.depth] || 0) + 1;
+      }
+    }
+
+    return counts;
+  }
+
+  /**
+   * Checks one puzzle condition against a scene. Time limits depend on the
+   * clock rather than the layout and are left to the caller.
+   * @param {Object} condition - Condition from a puzzle's winCondition(s) or loseCondition(s)
+   * @param {Array} reflections - Reflections from computeReflections
+   * @param {Object} scene - Scene the reflections belong to
+   * @returns {boolean}
+   */
+  function checkCondition(condition, reflections, scene) {
+    return getConditionShortfall(condition, reflections, scene) === 0;
+  }
+
+  // How far a scene is from meeting a condition: 0 when it is met, otherwise
+  // a positive number that shrinks as the layout gets closer
+  function getConditionShortfall(condition, reflections, scene) {
+    const counts = countReflectionsByOrder(reflections, scene, condition.ball, condition.eye);
+
+    switch (condition.type) {
+      case 'exactReflections':
+        return Math.abs(counts[condition.order] - condition.count);
+
+      case 'minReflections':
+        return Math.max(0, condition.count - counts[condition.order]);
+
+      case 'maxReflections':
+        return Math.max(0, counts[condition.order] - condition.count);
+
+      case 'totalReflections': {
+        const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+        return compareShortfall(total, condition.operator, condition.count);
+      }
+
+      case 'matchImages': {
+        const visible = reflections.filter(reflection =>
+          ReflectionEngine.isReflectionVisible(reflection, scene));
+        const tolerance = condition.tolerance !== undefined ? condition.tolerance : IMAGE_TOLERANCE;
+        const matches = ReflectionEngine.matchTargets(condition.images, visible, {
+          tolerance: tolerance,
+          oneToOne: condition.oneToOne,
+          mirrors: scene.mirrors
+        });
+
+        // Unmatched images count fully, less the closer the nearest image is
+        return matches.reduce((sum, match) => {
+          if (match.matched) return sum;
+          return sum + 1 - 1 / (1 + nearestDistance(match.target, visible) / 100);
+        }, 0);
+      }
+
+      default:
+        return Infinity;
+    }
+  }
+
+  // Shortfall of a count compared with an operator
+  function compareShortfall(value, operator, count) {
+    switch (operator) {
+      case '=': return Math.abs(value - count);
+      case '>': return Math.max(0, count + 1 - value);
+      case '<': return Math.max(0, value - count + 1);
+      case '>=': return Math.max(0, count - value);
+      case '<=': return Math.max(0, value - count);
+      default: return Infinity;
+    }
+  }
+
+  // Distance from a target image to the closest reflection, Infinity without any
+  function nearestDistance(target, reflections) {
+    return reflections.reduce((closest, reflection) =>
+      Math.min(closest, ReflectionEngine.distance(target.x, target.y, reflection.x, reflection.y)), Infinity);
+  }
+
+  // The conditions that must hold for a puzzle to be solved, and the ones that
+  // must not, leaving out time limits
+  function getLayoutConditions(puzzle) {
+    const list = (many, one) => (many || (one ? [one] : []))
+      .filter(condition => condition && condition.type !== 'timeLimit');
+
+    return {
+      win: list(puzzle.winConditions, puzzle.winCondition),
+      lose: list(puzzle.loseConditions, puzzle.loseCondition)
+    };
+  }
+
+  /**
+   * Scores an arrangement against a puzzle: 0 when every win condition holds and
+   * no lose condition does, higher the further away it is.
+   * @param {Object} puzzle - Puzzle JSON
+   * @param {Object} arrangement - Arrangement JSON
+   * @param {Object} [options] - { bounds, reflectionOptions }
+   * @returns {number}
+   */
+  function scoreArrangement(puzzle, arrangement, options) {
+    const opts = Object.assign({}, DEFAULT_OPTIONS, options);
+    const scene = createScene(arrangement, opts.bounds);
+    const reflections = ReflectionEngine.computeReflections(scene, opts.reflectionOptions);
+    const conditions = getLayoutConditions(puzzle);
+
+    let score = 0;
+    for (let condition of conditions.win) {
+      score += getConditionShortfall(condition, reflections, scene);
+    }
+    for (let condition of conditions.lose) {
+      if (checkCondition(condition, reflections, scene)) score += 1;
+    }
+
+    return score;
+  }
+
+  /**
+   * Searches the objects a puzzle lets the player move for a layout of the
+   * arrangement that solves the puzzle. The search climbs from the given layout
+   * and from random ones, nudging one object at a time and keeping changes that
+   * bring the layout closer to the win conditions.
+   *
+   * Only win and lose conditions about the layout are checked: time limits are
+   * ignored, and so are the ghost targets of reverse-engineering puzzles.
+   *
+   * @param {Object} puzzle - Puzzle JSON
+   * @param {Object} arrangement - Arrangement JSON, left unchanged
+   * @param {Object} [options] - { maxEvaluations, restarts, timeLimit, bounds, reflectionOptions, random }
+   * @returns {Object|null} A solved copy of the arrangement, or null when none was found
+   */
+  function solvePuzzle(puzzle, arrangement, options) {
+    const opts = Object.assign({}, DEFAULT_OPTIONS, options);
+    const deadline = Date.now() + opts.timeLimit;
+    const conditions = getLayoutConditions(puzzle);
+
+    // Nothing about the layout to satisfy
+    if (conditions.win.length === 0) return copyArrangement(arrangement);
+
+    const evaluate = candidate => scoreArrangement(puzzle, candidate, opts);
+    let evaluations = 0;
+
+    let best = copyArrangement(arrangement);
+    let bestScore = evaluate(best);
+    evaluations++;
+    if (bestScore === 0) return best;
+
+    const handles = getMovableHandles(puzzle, best);
+    if (handles.length === 0) return null;
+
+    const evaluationsPerClimb = Math.max(1, Math.floor(opts.maxEvaluations / (opts.restarts + 1)));
+
+    for (let climb = 0; climb <= opts.restarts && evaluations < opts.maxEvaluations; climb++) {
+      // The first climb starts from the given layout, later ones from random layouts
+      let current = climb === 0 ? copyArrangement(arrangement) : scrambleArrangement(puzzle, best, opts);
+      let currentScore = evaluate(current);
+      evaluations++;
+
+      let step = 1; // Share of the room a nudge may cover, shrinking as the climb stalls
+      const climbEnd = Math.min(opts.maxEvaluations, evaluations + evaluationsPerClimb);
+
+      while (currentScore > 0 && evaluations < climbEnd && Date.now() < deadline) {
+        const candidate = copyArrangement(current);
+        const candidateHandles = getMovableHandles(puzzle, candidate);
+        const handle = candidateHandles[Math.floor(opts.random() * candidateHandles.length)];
+        handle.nudge(opts.random, opts.bounds, step);
+
+        const candidateScore = evaluate(candidate);
+        evaluations++;
+
+        if (candidateScore <= currentScore) {
+          current = candidate;
+          currentScore = candidateScore;
+        } else {
+          step = Math.max(0.05, step * 0.9);
+        }
+      }
+
+      if (currentScore < bestScore) {
+        best = current;
+        bestScore = currentScore;
+      }
+      if (bestScore === 0) return best;
+      if (Date.now() >= deadline) break;
+    }
+
+    return null;
+  }
+
+  /**
+   * Puts every object a puzzle lets the player move at a random place in the
+   * room, the way the search picks its random layouts.
+   * @param {Object} puzzle - Puzzle JSON
+   * @param {Object} arrangement - Arrangement JSON, left unchanged
+   * @param {Object} [options] - { bounds, random }
+   * @returns {Object} The scrambled copy of the arrangement
+   */
+  function scrambleArrangement(puzzle, arrangement, options) {
+    const opts = Object.assign({}, DEFAULT_OPTIONS, options);
+    const scrambled = copyArrangement(arrangement);
+
+    for (let handle of getMovableHandles(puzzle, scrambled)) {
+      handle.randomize(opts.random, opts.bounds);
+    }
+
+    return scrambled;
+  }
+
+  // Deep copy of an arrangement's JSON
+  function copyArrangement(arrangement) {
+    return JSON.parse(JSON.stringify(arrangement));
+  }
+
+  /**
+   * Finds how a puzzle lets the player move an object. Constraints are given
+   * per object in `movableObjects`, as a string or an object with a `type`:
+   *   free      - moves anywhere (true)
+   *   locked    - doesn't move (false, or an index missing from the kind's list)
+   *   rotate    - only turns about its midpoint (mirrors), or on the spot (eyes)
+   *   translate - only moves, keeping its angle
+   *   axis      - moves along the line { x1, y1, x2, y2 }
+   *   path      - moves along the polyline through `points`
+   *   region    - moves within the rectangle { x, y, width, height }
+   * Mirrors follow axis, path and region constraints with their midpoint, and
+   * mirrors and eyes can still turn unless the constraint has `"rotate": false`.
+   * @param {Object} puzzle - Puzzle JSON
+   * @param {string} kind - 'ball', 'eye', 'mirrors' or 'obstacles'
+   * @param {number} index - Index of the object among those of its kind
+   * @returns {Object} The constraint, always with a `type`
+   */
+  function getObjectConstraint(puzzle, kind, index) {
+    const setting = (puzzle.movableObjects || {})[kind];
+
+    let constraint;
+    if (Array.isArray(setting)) {
+      constraint = setting.includes(index);
+    } else if (setting && typeof setting === 'object') {
+      constraint = setting[index];
+    } else {
+      constraint = setting;
+    }
+
+    if (typeof constraint === 'string') return { type: constraint };
+    if (constraint && typeof constraint === 'object') return constraint;
+    return { type: constraint ? 'free' : 'locked' };
+  }
+
+  /**
+   * Checks whether a constraint lets an object change place.
+   * @param {Object} constraint - From getObjectConstraint
+   * @returns {boolean}
+   */
+  function canTranslate(constraint) {
+    return constraint.type !== 'locked' && constraint.type !== 'rotate';
+  }
+
+  /**
+   * Checks whether a constraint lets a mirror or eye turn.
+   * @param {Object} constraint - From getObjectConstraint
+   * @returns {boolean}
+   */
+  function canRotate(constraint) {
+    if (constraint.type === 'free' || constraint.type === 'rotate') return true;
+    return POSITION_CONSTRAINTS.includes(constraint.type) && constraint.rotate !== false;
+  }
+
+  /**
+   * Checks whether a puzzle lets the player move an object. Balls and
+   * obstacles can't turn, so a rotate-only constraint keeps them in place.
+   * @param {Object} puzzle - Puzzle JSON
+   * @param {string} kind - 'ball', 'eye', 'mirrors' or 'obstacles'
+   * @param {number} index - Index of the object among those of its kind
+   * @returns {boolean}
+   */
+  function isObjectMovable(puzzle, kind, index) {
+    const constraint = getObjectConstraint(puzzle, kind, index);
+    return canTranslate(constraint) || ((kind === 'mirrors' || kind === 'eye') && canRotate(constraint));
+  }
+
+  /**
+   * Moves a point to the nearest place an axis, path or region constraint
+   * allows. Other constraints leave it where it is.
+   * @param {Object} constraint - From getObjectConstraint
+   * @param {Object} point - { x, y }
+   * @returns {Object} The allowed point { x, y }
+   */
+  function constrainPosition(constraint, point) {
+    if (constraint.type === 'axis') {
+      return nearestPointOnSegment(point, { x: constraint.x1, y: constraint.y1 }, { x: constraint.x2, y: constraint.y2 });
+    }
+
+    if (constraint.type === 'path') {
+      let nearest = null;
+      let nearestDistance = Infinity;
+      for (let i = 0; i < constraint.points.length - 1; i++) {
+        const candidate = nearestPointOnSegment(point, constraint.points[i], constraint.points[i + 1]);
+        const distance = Math.hypot(candidate.x - point.x, candidate.y - point.y);
+        if (distance < nearestDistance) {
+          nearest = candidate;
+          nearestDistance = distance;
+        }
+      }
+      return nearest || { x: constraint.points[0].x, y: constraint.points[0].y };
+    }
+
+    if (constraint.type === 'region') {
+      return {
+        x: Math.min(Math.max(point.x, constraint.x), constraint.x + constraint.width),
+        y: Math.min(Math.max(point.y, constraint.y), constraint.y + constraint.height)
+      };
+    }
+
+    return { x: point.x, y: point.y };
+  }
+
+  function nearestPointOnSegment(point, start, end) {
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0 ? 0 :
+      Math.min(Math.max(((point.x - start.x) * dx + (point.y - start.y) * dy) / lengthSquared, 0), 1);
+
+    return { x: start.x + t * dx, y: start.y + t * dy };
+  }
+
+  // A random place a constraint allows, anywhere in the room `margin` pixels
+  // from its walls when the constraint doesn't limit the position
+  function randomPosition(constraint, random, bounds, margin) {
+    if (constraint.type === 'axis' || constraint.type === 'path') {
+      const points = constraint.type === 'axis' ?
+        [{ x: constraint.x1, y: constraint.y1 }, { x: constraint.x2, y: constraint.y2 }] : constraint.points;
+      const lengths = points.slice(1).map((point, i) => Math.hypot(point.x - points[i].x, point.y - points[i].y));
+
+      // Pick a distance along the whole line and find the piece it falls on
+      let distance = random() * lengths.reduce((sum, length) => sum + length, 0);
+      for (let i = 0; i < lengths.length; i++) {
+        if (distance <= lengths[i] || i === lengths.length - 1) {
+          const t = lengths[i] === 0 ? 0 : Math.min(distance / lengths[i], 1);
+          return {
+            x: points[i].x + t * (points[i + 1].x - points[i].x),
+            y: points[i].y + t * (points[i + 1].y - points[i].y)
+          };
+        }
+        distance -= lengths[i];
+      }
+      return { x: points[0].x, y: points[0].y };
+    }
+
+    if (constraint.type === 'region') {
+      return { x: constraint.x + random() * constraint.width, y: constraint.y + random() * constraint.height };
+    }
+
+    return {
+      x: margin + random() * (bounds.width - 2 * margin),
+      y: margin + random() * (bounds.height - 2 * margin)
+    };
+  }
+
+  // The movable objects of an arrangement, each with a randomize(random, bounds)
+  // that puts it anywhere its constraint allows and a nudge(random, bounds, step)
+  // that moves it a little, by up to `step` times the room size
+  function getMovableHandles(puzzle, arrangement) {
+    const handles = [];
+
+    ReflectionEngine.getSceneBalls(arrangement).forEach((ball, i) => {
+      if (isObjectMovable(puzzle, 'ball', i)) {
+        handles.push(createPointHandle(ball, ball.radius || 0, getObjectConstraint(puzzle, 'ball', i)));
+      }
+    });
+
+    ReflectionEngine.getSceneEyes(arrangement).forEach((eye, i) => {
+      if (isObjectMovable(puzzle, 'eye', i)) {
+        handles.push(createEyeHandle(eye, getObjectConstraint(puzzle, 'eye', i)));
+      }
+    });
+
+    arrangement.mirrors.forEach((mirror, i) => {
+      if (isObjectMovable(puzzle, 'mirrors', i)) {
+        handles.push(createMirrorHandle(mirror, arrangement, getObjectConstraint(puzzle, 'mirrors', i)));
+      }
+    });
+
+    (arrangement.obstacles || []).forEach((obstacle, i) => {
+      if (isObjectMovable(puzzle, 'obstacles', i)) {
+        handles.push(createObstacleHandle(obstacle, getObjectConstraint(puzzle, 'obstacles', i)));
+      }
+    });
+
+    return handles;
+  }
+
+  // A ball or eye, kept `margin` pixels inside the room
+  function createPointHandle(point, margin, constraint) {
+    const clamp = bounds => {
+      point.x = Math.min(Math.max(point.x, margin), bounds.width - margin);
+      point.y = Math.min(Math.max(point.y, margin), bounds.height - margin);
+      Object.assign(point, constrainPosition(constraint, point));
+    };
+
+    return {
+      randomize(random, bounds) {
+        Object.assign(point, randomPosition(constraint, random, bounds, margin));
+      },
+      nudge(random, bounds, step) {
+        point.x += (random() * 2 - 1) * step * bounds.width / 4;
+        point.y += (random() * 2 - 1) * step * bounds.height / 4;
+        clamp(bounds);
+      }
+    };
+  }
+
+  // An eye, which moves like a ball and turns when it has a field of view
+  function createEyeHandle(eye, constraint) {
+    const point = createPointHandle(eye, 0, constraint);
+    const turns = eye.fov !== undefined && canRotate(constraint);
+
+    return {
+      randomize(random, bounds) {
+        if (canTranslate(constraint)) point.randomize(random, bounds);
+        if (turns) eye.direction = random() * Math.PI * 2;
+      },
+      nudge(random, bounds, step) {
+        if (turns && (random() < 0.5 || !canTranslate(constraint))) {
+          eye.direction = ReflectionEngine.getEyeDirection(eye) + (random() * 2 - 1) * step * Math.PI / 2;
+        }
+        if (canTranslate(constraint)) point.nudge(random, bounds, step);
+      }
+    };
+  }
+
+  // A mirror that can be moved and turned about its midpoint. Random layouts
+  // mostly turn the mirror towards one of the balls: a mirror facing away from
+  // every ball shows nothing, and such layouts give the search nowhere to go.
+  function createMirrorHandle(mirror, arrangement, constraint) {
+    const moveTo = (x, y) => {
+      const midpoint = getMirrorMidpoint(mirror);
+      const target = constrainPosition(constraint, { x: x, y: y });
+      translateMirror(mirror, target.x - midpoint.x, target.y - midpoint.y);
+    };
+
+    return {
+      randomize(random, bounds) {
+        if (canTranslate(constraint)) {
+          const position = randomPosition(constraint, random, bounds, 0);
+          moveTo(position.x, position.y);
+        }
+        if (!canRotate(constraint)) return;
+
+        const balls = ReflectionEngine.getSceneBalls(arrangement);
+        if (random() < 0.75) {
+          const ball = balls[Math.floor(random() * balls.length)];
+          const midpoint = getMirrorMidpoint(mirror);
+          const normal = ReflectionEngine.getMirrorNormalAt(mirror, midpoint);
+          const facing = Math.atan2(ball.y - midpoint.y, ball.x - midpoint.x);
+          rotateMirror(mirror, facing - Math.atan2(normal.y, normal.x) + (random() - 0.5) * Math.PI / 4);
+        } else {
+          rotateMirror(mirror, random() * Math.PI * 2);
+        }
+      },
+      nudge(random, bounds, step) {
+        const midpoint = getMirrorMidpoint(mirror);
+
+        if (canRotate(constraint) && (random() < 0.5 || !canTranslate(constraint))) {
+          rotateMirror(mirror, (random() * 2 - 1) * step * Math.PI / 2);
+        }
+        if (!canTranslate(constraint)) return;
+        moveTo(
+          Math.min(Math.max(midpoint.x + (random() * 2 - 1) * step * bounds.width / 4, 0), bounds.width),
+          Math.min(Math.max(midpoint.y + (random() * 2 - 1) * step * bounds.height / 4, 0), bounds.height)
+        );
+      }
+    };
+  }
+
+  // An obstacle that can be moved, keeping its center in the room
+  function createObstacleHandle(obstacle, constraint) {
+    const moveTo = (x, y) => {
+      const center = getObstacleCenter(obstacle);
+      const target = constrainPosition(constraint, { x: x, y: y });
+      translateObstacle(obstacle, target.x - center.x, target.y - center.y);
+    };
+
+    return {
+      randomize(random, bounds) {
+        const position = randomPosition(constraint, random, bounds, 0);
+        moveTo(position.x, position.y);
+      },
+      nudge(random, bounds, step) {
+        const center = getObstacleCenter(obstacle);
+        moveTo(
+          Math.min(Math.max(center.x + (random() * 2 - 1) * step * bounds.width / 4, 0), bounds.width),
+          Math.min(Math.max(center.y + (random() * 2 - 1) * step * bounds.height / 4, 0), bounds.height)
+        );
+      }
+    };
+  }
+
+  // Middle of a flat mirror, or of the curve of an arc
+  function getMirrorMidpoint(mirror) {
+    if (mirror.type === 'arc') {
+      return ReflectionEngine.arcPoint(mirror, mirror.startAngle + ReflectionEngine.arcSpan(mirror) / 2);
+    }
+
+    return { x: (mirror.x1 + mirror.x2) / 2, y: (mirror.y1 + mirror.y2) / 2 };
+  }
+
+  function translateMirror(mirror, dx, dy) {
+    if (mirror.type === 'arc') {
+      mirror.cx += dx;
+      mirror.cy += dy;
+      return;
+    }
+
+    mirror.x1 += dx;
+    mirror.y1 += dy;
+    mirror.x2 += dx;
+    mirror.y2 += dy;
+  }
+
+  /**
+   * Turns a mirror about its midpoint, keeping the reflective side with it.
+   * @param {Object} mirror - Flat or arc mirror, changed in place
+   * @param {number} angle - Angle in radians, clockwise on screen
+   */
+  function rotateMirror(mirror, angle) {
+    const midpoint = getMirrorMidpoint(mirror);
+    const rotate = point => rotatePoint(point, midpoint, angle);
+
+    if (mirror.type === 'arc') {
+      const center = rotate({ x: mirror.cx, y: mirror.cy });
+      mirror.cx = center.x;
+      mirror.cy = center.y;
+      mirror.startAngle += angle;
+      mirror.endAngle += angle;
+      return;
+    }
+
+    const end1 = rotate({ x: mirror.x1, y: mirror.y1 });
+    const end2 = rotate({ x: mirror.x2, y: mirror.y2 });
+    const normal = rotatePoint(mirror.normal, { x: 0, y: 0 }, angle);
+    Object.assign(mirror, { x1: end1.x, y1: end1.y, x2: end2.x, y2: end2.y, normal: normal });
+  }
+
+  function rotatePoint(point, center, angle) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const dx = point.x - center.x;
+    const dy = point.y - center.y;
+
+    return { x: center.x + dx * cos - dy * sin, y: center.y + dx * sin + dy * cos };
+  }
+
+  function getObstacleCenter(obstacle) {
+    if (obstacle.type === 'segment') {
+      return { x: (obstacle.x1 + obstacle.x2) / 2, y: (obstacle.y1 + obstacle.y2) / 2 };
+    }
+
+    if (obstacle.type === 'polygon') {
+      return {
+        x: obstacle.points.reduce((sum, point) => sum + point.x, 0) / obstacle.points.length,
+        y: obstacle.points.reduce((sum, point) => sum + point.y, 0) / obstacle.points.length
+      };
+    }
+
+    return { x: obstacle.x, y: obstacle.y };
+  }
+
+  function translateObstacle(obstacle, dx, dy) {
+    if (obstacle.type === 'segment') {
+      obstacle.x1 += dx;
+      obstacle.y1 += dy;
+      obstacle.x2 += dx;
+      obstacle.y2 += dy;
+    } else if (obstacle.type === 'polygon') {
+      for (let point of obstacle.points) {
+        point.x += dx;
+        point.y += dy;
+      }
+    } else {
+      obstacle.x += dx;
+      obstacle.y += dy;
+    }
+  }
+
+  return {
+    DEFAULT_OPTIONS,
+    createScene,
+    countReflectionsByOrder,
+    checkCondition,
+    scoreArrangement,
+    solvePuzzle,
+    scrambleArrangement,
+    getObjectConstraint,
+    canTranslate,
+    canRotate,
+    isObjectMovable,
+    constrainPosition,
+    rotateMirror
+  };
+});
@@ -0,0 +1,1214 @@
+/**
+ * Light Detective - Reflection Engine
+ *
+ * Headless optics for Light Detective. Nothing in this file touches p5 or the
+ * DOM: every function takes a plain scene description and returns plain data,
+ * so the same code drives the browser sketch and runs under Node for puzzle
+ * tooling and tests.
+ *
+ * A scene looks like:
+ *   {
+ *     ball:    { x, y, radius },    // or balls: [{ id, x, y, radius }, ...]
+ *     eye:     { x, y },            // or eyes: [{ id, x, y }, ...]
+ *     mirrors: [{ x1, y1, x2, y2, normal: { x, y } }, ...],
+ *     obstacles: [...],            // optional opaque, non-reflective blockers
+ *     bounds:  { width, height }   // optional room size, omitted = unbounded
+ *   }
+ *
+ * Besides flat mirrors, a mirror can be a circular arc:
+ *   { type: 'arc', cx, cy, radius, startAngle, endAngle, reflectiveSide }
+ * The arc runs from startAngle to endAngle (radians, increasing, canvas
+ * convention with y pointing down, like p5's arc()), and reflectiveSide is
+ * 'concave' (reflects towards the center) or 'convex' (reflects outwards).
+ *
+ * Any mirror may also set:
+ *   sides:        'front' (default), 'back' or 'both' - which faces reflect.
+ *                 The front face is the one the normal points out of (the blue
+ *                 side); for arcs it is the reflectiveSide.
+ *   reflectivity: 0..1 (default 1). Below 1 the mirror is half-silvered glass:
+ *                 it reflects that fraction of the light and lets the rest
+ *                 through, so it no longer blocks the view behind it.
+ *
+ * An eye sees in every direction unless it sets a field of view:
+ *   direction: angle it looks in (radians, canvas convention, default -π/2,
+ *              straight up the screen)
+ *   fov:       full width of its view cone in radians; a reflection is only
+ *              seen when the light reaches the eye from inside the cone
+ *
+ * Obstacles absorb light and come in three shapes:
+ *   { type: 'segment', x1, y1, x2, y2 }    - a thin wall
+ *   { type: 'circle', x, y, radius }       - a pillar
+ *   { type: 'polygon', points: [{ x, y }, ...] }
+ *
+ * In the browser the API is exposed as the global `ReflectionEngine`; in Node
+ * it is the module's exports.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ReflectionEngine = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // Direction an eye with a field of view looks in when it doesn't say: up the screen
+  const DEFAULT_EYE_DIRECTION = -Math.PI / 2;
+
+  // Defaults used when computeReflections is called without options
+  const DEFAULT_OPTIONS = {
+    maxDepth: 10,        // Maximum number of reflections to prevent infinite loops
+    minSizeRatio: 0.05,  // Minimum size ratio of an image to the original ball
+    minIntensity: 0.01   // Minimum share of the ball's light an image must keep
+  };
+
+  // Size reduction factors by reflection depth:
+  // depth 1 = 100% (original size)
+  // depth 2 = 85% of original
+  // depth 3 = 70% of original
+  // depth 4+ = 60% of original
+  const SIZE_FACTORS = [1, 0.85, 0.7, 0.6, 0.6, 0.6];
+
+  const TWO_PI = Math.PI * 2;
+
+  // Number of samples used to search an arc for reflection points
+  const ARC_SAMPLES = 96;
+
+  // Spacing (in pixels along the arc) of the neighbouring rays traced to locate
+  // the image formed by a curved mirror
+  const ARC_TRACE_STEP = 0.5;
+
+  /**
+   * Computes every reflection of the ball that the eye can see.
+   *
+   * The result is a flat list of reflection nodes. Each node links to the image
+   * it was reflected from through `parentReflection` (null for first-order
+   * images), so together they form the reflection tree rooted at the ball.
+   * First-order images come first, followed by higher orders in depth-first
+   * order.
+   *
+   * Each node also has an `intensity`: the share of the ball's light that
+   * reaches the eye, from the reflectivity of every mirror in the chain and the
+   * half-silvered mirrors the light passes through on its way to the eye.
+   *
+   * Every image on a mirror's reflecting side is reflected further, up to the
+   * depth and size limits, even when the eye can't see it: it may still be
+   * seen in another mirror, as in a periscope. Only images with a real light
+   * path from the ball to the eye are returned, and each node carries that
+   * path as `hitPoints`: where the light meets each mirror of the chain, ball
+   * side first (see traceReflectionPath). A node's `parentReflection` may
+   * therefore be an image the eye doesn't see.
+   *
+   * A scene with several `balls` gets the reflections of each ball in turn, and
+   * every node records the ball it is an image of as `sourceBall`.
+   *
+   * A scene with several `eyes` gets the reflections seen by each eye, merged so
+   * that an image seen by more than one eye appears once. Every node lists the
+   * eyes that see it in `visibleEyes`, and its intensity is the brightest of
+   * them. Images only the later eyes see follow those of the first eye. The
+   * `hitPoints` are those of the first eye that sees the image.
+   *
+   * An eye with a field of view only sees the images whose light reaches it
+   * from inside its view cone. Images outside it are left out like the other
+   * images no eye sees.
+   *
+   * @param {Object} scene - Scene with ball, eye, mirrors and optional bounds
+   * @param {Object} [options] - { maxDepth, minSizeRatio, minIntensity }
+   * @returns {Array} Reflection nodes with x, y, radius, depth, intensity, hitPoints, sourceBall, sourceMirror, parentReflection and visibleEyes
+   */
+  function computeReflections(scene, options) {
+    const opts = Object.assign({}, DEFAULT_OPTIONS, options);
+    const reflections = [];
+    const mergedNodes = new Map(); // node of one eye -> the merged node it became
+    const nodesByKey = new Map();  // key -> merged node
+    const keys = new Map();        // merged node -> key
+
+    for (let eye of getSceneEyes(scene)) {
+      // Images are found as if the eye saw all around, then checked against its view cone
+      const eyeScene = withEye(scene, Object.assign({}, eye, { fov: undefined }));
+      const eyeReflections = [];
+      const seen = new Set(); // Candidates with a light path to the eye that is bright enough
+
+      for (let ball of getSceneBalls(scene)) {
+        addBallReflections(ball, eyeScene, opts, eyeReflections, seen);
+      }
+
+      // Parents always come before their children, so they are merged first
+      for (let reflection of eyeReflections) {
+        const parent = reflection.parentReflection ? mergedNodes.get(reflection.parentReflection) : null;
+        const key = getReflectionKey(reflection, parent ? keys.get(parent) : null, scene);
+        let node = nodesByKey.get(key);
+
+        if (!node) {
+          node = reflection;
+          node.parentReflection = parent;
+          node.visibleEyes = [];
+          nodesByKey.set(key, node);
+          keys.set(node, key);
+        }
+        mergedNodes.set(reflection, node);
+
+        // The light leaves the last mirror towards the eye
+        if (!seen.has(reflection) ||
+            !isInFieldOfView(eye, reflection.hitPoints[reflection.hitPoints.length - 1])) continue;
+
+        if (node.visibleEyes.length === 0) {
+          node.intensity = reflection.intensity;
+          node.hitPoints = reflection.hitPoints;
+          reflections.push(node);
+        } else {
+          node.intensity = Math.max(node.intensity, reflection.intensity);
+        }
+        node.visibleEyes.push(eye);
+      }
+    }
+
+    return reflections;
+  }
+
+  /**
+   * The eyes of a scene, whether it has a single `eye` or an `eyes` array.
+   * @param {Object} scene - Scene or arrangement
+   * @returns {Array}
+   */
+  function getSceneEyes(scene) {
+    return scene.eyes || [scene.eye];
+  }
+
+  /**
+   * The direction an eye looks in, in radians (canvas convention).
+   * @param {Object} eye - Eye with an optional direction
+   * @returns {number}
+   */
+  function getEyeDirection(eye) {
+    return eye.direction === undefined ? DEFAULT_EYE_DIRECTION : eye.direction;
+  }
+
+  /**
+   * Checks whether a point lies inside an eye's view cone. Eyes without a
+   * field of view (`fov`) see in every direction.
+   * @param {Object} eye - Eye with x, y and optional direction and fov
+   * @param {Object} point - { x, y }
+   * @returns {boolean}
+   */
+  function isInFieldOfView(eye, point) {
+    if (eye.fov === undefined || eye.fov >= TWO_PI) return true;
+
+    const angle = Math.atan2(point.y - eye.y, point.x - eye.x);
+    const offset = normalizeAngle(angle - getEyeDirection(eye) + Math.PI) - Math.PI;
+    return Math.abs(offset) <= eye.fov / 2;
+  }
+
+  // The same scene looked at from one particular eye
+  function withEye(scene, eye) {
+    return Object.assign({}, scene, { eye: eye });
+  }
+
+  // Identifies an image across eyes: the same ball reflected in the same mirror
+  // from the same parent image, landing in the same place (curved mirrors form
+  // a different image for every viewpoint)
+  function getReflectionKey(reflection, parentKey, scene) {
+    return [
+      parentKey !== null ? parentKey : 'ball' + getSceneBalls(scene).indexOf(reflection.sourceBall),
+      scene.mirrors.indexOf(reflection.sourceMirror),
+      reflection.x.toFixed(3),
+      reflection.y.toFixed(3)
+    ].join('|');
+  }
+
+  /**
+   * The balls of a scene, whether it has a single `ball` or a `balls` array.
+   * @param {Object} scene - Scene or arrangement
+   * @returns {Array}
+   */
+  function getSceneBalls(scene) {
+    return scene.balls || [scene.ball];
+  }
+
+  // Collects the candidate reflections of one ball, adding those the eye sees
+  // to `seen`. An image the eye can't see directly may still be seen in another
+  // mirror (as in a periscope), so a candidate is reflected further in every
+  // mirror its light can still reach (see clipToLight).
+  function addBallReflections(ball, scene, opts, reflections, seen) {
+    const { mirrors } = scene;
+    const firstOrder = [];
+
+    // First-order reflections keep the same size as the original ball
+    for (let mirror of mirrors) {
+      for (let virtualBall of reflectObject(ball, mirror, ball.radius, 1, null, scene.eye)) {
+        virtualBall.sourceBall = ball;
+
+        if (!isWithinBounds(virtualBall, scene.bounds)) continue;
+
+        if (isBrightEnough(virtualBall, scene, opts)) {
+          seen.add(virtualBall);
+        }
+        firstOrder.push(virtualBall);
+      }
+    }
+    reflections.push(...firstOrder);
+
+    // Higher-order reflections: reflect each first-order image in the other
+    // mirrors, its light coming out of the whole of its mirror
+    for (let reflection of firstOrder) {
+      const window = getMirrorWindow(reflection.sourceMirror);
+      for (let otherMirror of mirrors) {
+        if (otherMirror === reflection.sourceMirror) continue;
+        addHigherOrderReflection(otherMirror, reflection, window, 2, scene, opts, reflections, seen);
+      }
+    }
+  }
+
+  // Recursively reflects an image in a mirror, collecting every candidate and
+  // adding the visible ones to `seen`. `window` is the part of the image's
+  // mirror its light comes out of, or null when that isn't known (curved mirrors).
+  function addHigherOrderReflection(mirror, object, window, depth, scene, opts, reflections, seen) {
+    // Don't go beyond max reflection depth
+    if (depth > opts.maxDepth) return;
+
+    const baseRadius = object.sourceBall.radius;
+
+    // Don't calculate reflections of images that are already too small
+    if (object.radius / baseRadius < opts.minSizeRatio) return;
+
+    // For each order of reflection, reduce size by a modest fixed percentage
+    const sizeFactor = SIZE_FACTORS[Math.min(depth - 1, SIZE_FACTORS.length - 1)];
+    const reflectionRadius = baseRadius * sizeFactor;
+
+    // Don't show reflections that would be too small
+    if (reflectionRadius < baseRadius * opts.minSizeRatio) return;
+
+    // Skip mirrors the light coming out of the image's window can't reach
+    let litWindow = getMirrorWindow(mirror);
+    if (window) {
+      const litPart = clipToLight(object, window, getMirrorPoints(mirror));
+      if (litPart.length === 0) return;
+      if (litWindow) litWindow = [litPart[0], litPart[litPart.length - 1]];
+    }
+
+    for (let virtualObject of reflectObject(object, mirror, reflectionRadius, depth, object, scene.eye)) {
+      virtualObject.sourceBall = object.sourceBall;
+
+      if (!isWithinBounds(virtualObject, scene.bounds)) continue;
+
+      // Report only images the eye sees, but recurse from all of them. Light
+      // from the image only leaves through its lit window, so there's no need
+      // to trace a path to an eye outside it.
+      const reachesEye = !litWindow || clipToLight(virtualObject, litWindow, [scene.eye]).length > 0;
+      if (reachesEye && isBrightEnough(virtualObject, scene, opts)) {
+        seen.add(virtualObject);
+      }
+      reflections.push(virtualObject);
+
+      for (let otherMirror of scene.mirrors) {
+        // Skip the mirror that created this reflection
+        if (otherMirror === mirror) continue;
+        addHigherOrderReflection(otherMirror, virtualObject, litWindow, depth + 1, scene, opts, reflections, seen);
+      }
+    }
+  }
+
+  // The ends of a flat mirror, the window an image in it sends its light out
+  // of; null for curved mirrors, whose images are traced for one viewpoint
+  function getMirrorWindow(mirror) {
+    if (mirror.type === 'arc') return null;
+    return [{ x: mirror.x1, y: mirror.y1 }, { x: mirror.x2, y: mirror.y2 }];
+  }
+
+  // Points outlining a mirror: the ends of a flat mirror, samples along an arc
+  function getMirrorPoints(mirror) {
+    return mirror.type === 'arc' ? sampleArc(mirror) : getMirrorWindow(mirror);
+  }
+
+  // Clips points (a polyline, or a single point) to the region the light of an
+  // image reaches: the light seems to come from the image through its window,
+  // so only what lies beyond the window and inside the wedge from the image
+  // through the window's ends is lit. Returns no points when none of it is lit.
+  function clipToLight(image, window, points) {
+    const source = image.parentReflection || image.sourceBall;
+
+    // Beyond the window, on the side the light was reflected to
+    points = clipToSide(points, image.sourceMirror, source);
+
+    // Between the lines from the image through the ends of the window
+    for (let [end, otherEnd] of [[window[0], window[1]], [window[1], window[0]]]) {
+      const edge = { x1: image.x, y1: image.y, normal: { x: image.y - end.y, y: end.x - image.x } };
+      points = clipToSide(points, edge, otherEnd);
+    }
+
+    return points;
+  }
+
+  // Traces the light path of an image to the eye and stores its hit points and
+  // intensity on the image. Images without a real light path, or too faint to
+  // see, are rejected.
+  function isBrightEnough(reflection, scene, opts) {
+    const path = traceReflectionPath(reflection, scene);
+    if (!path) return false;
+
+    let reflectivity = 1;
+    for (let node = reflection; node; node = node.parentReflection) {
+      reflectivity *= getReflectivity(node.sourceMirror);
+    }
+
+    reflection.hitPoints = path.hitPoints;
+    reflection.intensity = reflectivity * path.transmission;
+    return reflection.intensity >= opts.minIntensity;
+  }
+
+  // Builds the reflection nodes for an object seen in a mirror. A flat mirror
+  // gives at most one image (none when the object faces a non-reflective side);
+  // a curved mirror can give one image per reflection point.
+  function reflectObject(object, mirror, radius, depth, parentReflection, eye) {
+    if (mirror.type === 'arc') {
+      return reflectInArc(object, mirror, radius, depth, parentReflection, eye);
+    }
+
+    const normalDistance = signedDistanceToMirror(object, mirror);
+
+    // Only create reflections if the object faces a reflective side of the mirror
+    if (normalDistance === 0 || !reflectsFace(mirror, normalDistance > 0 ? 'front' : 'back')) return [];
+
+    return [{
+      x: object.x - 2 * normalDistance * mirror.normal.x,
+      y: object.y - 2 * normalDistance * mirror.normal.y,
+      radius: radius,
+      depth: depth,
+      sourceMirror: mirror,
+      parentReflection: parentReflection
+    }];
+  }
+
+  // Images of an object in a curved mirror, as seen from the eye. Each image
+  // also records the hitPoint on the arc where the light is reflected, and its
+  // size is scaled by the mirror's magnification.
+  function reflectInArc(object, arc, radius, depth, parentReflection, eye) {
+    const images = [];
+    const faces = [1, -1].filter(side => reflectsFace(arc, side === 1 ? 'front' : 'back'));
+    const angles = [].concat(...faces.map(side => findArcReflectionAngles(object, eye, arc, side)));
+
+    for (let angle of angles) {
+      const image = traceArcImage(object, eye, arc, angle);
+      if (!image) continue;
+
+      images.push({
+        x: image.x,
+        y: image.y,
+        radius: radius * image.magnification,
+        depth: depth,
+        sourceMirror: arc,
+        parentReflection: parentReflection,
+        hitPoint: image.hitPoint
+      });
+    }
+
+    return images;
+  }
+
+  // Finds the angles on one face of an arc (side 1 = front, -1 = back) where
+  // light from the object is reflected straight towards the eye, i.e. where
+  // the local normal bisects the directions to the object and to the eye
+  function findArcReflectionAngles(object, eye, arc, side) {
+    const span = arcSpan(arc);
+    const angles = [];
+    let previous = null;
+
+    for (let i = 0; i <= ARC_SAMPLES; i++) {
+      const angle = arc.startAngle + span * i / ARC_SAMPLES;
+      const value = reflectionMismatch(object, eye, arc, angle, side);
+
+      if (value === 0) {
+        angles.push(angle);
+      } else if (value !== null && previous && previous.value !== null &&
+                 previous.value !== 0 && Math.sign(value) !== Math.sign(previous.value)) {
+        // Refine the sign change by bisection
+        let low = previous.angle;
+        let lowValue = previous.value;
+        let high = angle;
+
+        for (let step = 0; step < 40; step++) {
+          const mid = (low + high) / 2;
+          const midValue = reflectionMismatch(object, eye, arc, mid, side);
+          if (midValue === null) break;
+
+          if (Math.sign(midValue) === Math.sign(lowValue)) {
+            low = mid;
+            lowValue = midValue;
+          } else {
+            high = mid;
+          }
+        }
+
+        angles.push((low + high) / 2);
+      }
+
+      previous = { angle: angle, value: value };
+    }
+
+    return angles;
+  }
+
+  // How far the normal at an arc angle is from bisecting the directions to the
+  // object and the eye (zero at a reflection point), or null when either of
+  // them is behind that face there
+  function reflectionMismatch(object, eye, arc, angle, side) {
+    const hitPoint = arcPoint(arc, angle);
+    const frontNormal = arcNormalAt(arc, angle);
+    const normal = { x: frontNormal.x * side, y: frontNormal.y * side };
+    const toObject = normalizeVector({ x: object.x - hitPoint.x, y: object.y - hitPoint.y });
+    const toEye = normalizeVector({ x: eye.x - hitPoint.x, y: eye.y - hitPoint.y });
+
+    if (dotProduct(normal, toObject) <= 0 || dotProduct(normal, toEye) <= 0) return null;
+
+    const bisector = { x: toObject.x + toEye.x, y: toObject.y + toEye.y };
+    return normal.x * bisector.y - normal.y * bisector.x;
+  }
+
+  // Locates the image formed at an arc reflection point by forward ray tracing:
+  // two rays from the object hit the arc on either side of the reflection
+  // point, and the image is where the reflected rays (or their extensions
+  // behind the mirror) meet, placed on the eye's line of sight through the
+  // reflection point. Returns null for images at infinity or behind the eye.
+  function traceArcImage(object, eye, arc, angle) {
+    const hitPoint = arcPoint(arc, angle);
+    const delta = ARC_TRACE_STEP / arc.radius;
+
+    const rays = [angle - delta, angle + delta].map(rayAngle => {
+      const origin = arcPoint(arc, rayAngle);
+      const normal = arcNormalAt(arc, rayAngle);
+      const incident = normalizeVector({ x: origin.x - object.x, y: origin.y - object.y });
+      const k = 2 * dotProduct(incident, normal);
+
+      return {
+        origin: origin,
+        direction: { x: incident.x - k * normal.x, y: incident.y - k * normal.y }
+      };
+    });
+
+    // Parallel reflected rays form an image at infinity
+    const convergence = intersectLines(rays[0], rays[1]);
+    if (!convergence) return null;
+
+    // Line of sight from the eye through the reflection point
+    const eyeDistance = distance(eye.x, eye.y, hitPoint.x, hitPoint.y);
+    const sightDirection = {
+      x: (hitPoint.x - eye.x) / eyeDistance,
+      y: (hitPoint.y - eye.y) / eyeDistance
+    };
+
+    // Positive: virtual image behind the mirror, negative: real image in front of it
+    const imageDistance = dotProduct(
+      { x: convergence.x - hitPoint.x, y: convergence.y - hitPoint.y },
+      sightDirection
+    );
+    if (imageDistance <= -eyeDistance) return null;
+
+    const objectDistance = distance(object.x, object.y, hitPoint.x, hitPoint.y);
+
+    return {
+      x: hitPoint.x + imageDistance * sightDirection.x,
+      y: hitPoint.y + imageDistance * sightDirection.y,
+      hitPoint: hitPoint,
+      magnification: Math.abs(imageDistance) / objectDistance
+    };
+  }
+
+  // Intersection of two infinite lines given as { origin, direction }, or null if parallel
+  function intersectLines(a, b) {
+    const cross = a.direction.x * b.direction.y - a.direction.y * b.direction.x;
+    if (Math.abs(cross) < 1e-12) return null;
+
+    const t = ((b.origin.x - a.origin.x) * b.direction.y - (b.origin.y - a.origin.y) * b.direction.x) / cross;
+    return {
+      x: a.origin.x + t * a.direction.x,
+      y: a.origin.y + t * a.direction.y
+    };
+  }
+
+  // Arc helpers
+
+  function normalizeAngle(angle) {
+    return ((angle % TWO_PI) + TWO_PI) % TWO_PI;
+  }
+
+  /**
+   * Angular extent of an arc mirror, in (0, 2π].
+   * @param {Object} arc - Arc mirror
+   * @returns {number}
+   */
+  function arcSpan(arc) {
+    const span = arc.endAngle - arc.startAngle;
+    if (span >= TWO_PI) return TWO_PI;
+    return normalizeAngle(span);
+  }
+
+  function isAngleOnArc(angle, arc) {
+    return normalizeAngle(angle - arc.startAngle) <= arcSpan(arc) + 1e-9;
+  }
+
+  /**
+   * Point on an arc mirror at the given angle.
+   * @returns {Object} { x, y }
+   */
+  function arcPoint(arc, angle) {
+    return {
+      x: arc.cx + Math.cos(angle) * arc.radius,
+      y: arc.cy + Math.sin(angle) * arc.radius
+    };
+  }
+
+  // Unit normal on the reflective side of an arc at the given angle
+  function arcNormalAt(arc, angle) {
+    const side = arc.reflectiveSide === 'convex' ? 1 : -1;
+    return {
+      x: Math.cos(angle) * side,
+      y: Math.sin(angle) * side
+    };
+  }
+
+  /**
+   * Unit normal on the reflective side of a mirror at a point on it. Flat
+   * mirrors have the same normal everywhere.
+   * @param {Object} mirror - Flat or arc mirror
+   * @param {Object} point - Point on the mirror
+   * @returns {Object} { x, y }
+   */
+  function getMirrorNormalAt(mirror, point) {
+    if (mirror.type === 'arc') {
+      return arcNormalAt(mirror, Math.atan2(point.y - mirror.cy, point.x - mirror.cx));
+    }
+    return mirror.normal;
+  }
+
+  /**
+   * Finds where a line segment first crosses a mirror, flat or curved.
+   * @returns {Object|null} The crossing point { x, y } closest to (x1, y1), or null
+   */
+  function mirrorIntersection(x1, y1, x2, y2, mirror) {
+    if (mirror.type !== 'arc') {
+      return lineIntersection(x1, y1, x2, y2, mirror.x1, mirror.y1, mirror.x2, mirror.y2);
+    }
+
+    const crossings = segmentCircleIntersections(x1, y1, x2, y2, mirror.cx, mirror.cy, mirror.radius);
+    return crossings.find(point =>
+      isAngleOnArc(Math.atan2(point.y - mirror.cy, point.x - mirror.cx), mirror)) || null;
+  }
+
+  // Points where a line segment crosses a circle, nearest to (x1, y1) first
+  function segmentCircleIntersections(x1, y1, x2, y2, cx, cy, radius) {
+    // Solve |P + t d - C|^2 = r^2 for the segment parameter t
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const fx = x1 - cx;
+    const fy = y1 - cy;
+    const a = dx * dx + dy * dy;
+    const b = 2 * (fx * dx + fy * dy);
+    const c = fx * fx + fy * fy - radius * radius;
+    const discriminant = b * b - 4 * a * c;
+
+    if (a === 0 || discriminant < 0) return [];
+
+    const root = Math.sqrt(discriminant);
+    return [(-b - root) / (2 * a), (-b + root) / (2 * a)]
+      .filter(t => t >= 0 && t <= 1)
+      .map(t => ({ x: x1 + t * dx, y: y1 + t * dy }));
+  }
+
+  /**
+   * Finds where a line segment first crosses the outline of an obstacle.
+   * @param {Object} obstacle - Segment, circle or polygon obstacle
+   * @returns {Object|null} The crossing point { x, y } closest to (x1, y1), or null
+   */
+  function obstacleIntersection(x1, y1, x2, y2, obstacle) {
+    if (obstacle.type === 'circle') {
+      return segmentCircleIntersections(x1, y1, x2, y2, obstacle.x, obstacle.y, obstacle.radius)[0] || null;
+    }
+
+    if (obstacle.type === 'polygon') {
+      let nearest = null;
+      let nearestDistance = Infinity;
+      const points = obstacle.points;
+
+      for (let i = 0; i < points.length; i++) {
+        const a = points[i];
+        const b = points[(i + 1) % points.length];
+        const point = lineIntersection(x1, y1, x2, y2, a.x, a.y, b.x, b.y);
+        if (!point) continue;
+
+        const pointDistance = distance(x1, y1, point.x, point.y);
+        if (pointDistance < nearestDistance) {
+          nearest = point;
+          nearestDistance = pointDistance;
+        }
+      }
+
+      return nearest;
+    }
+
+    // Default: a straight wall segment
+    return lineIntersection(x1, y1, x2, y2, obstacle.x1, obstacle.y1, obstacle.x2, obstacle.y2);
+  }
+
+  /**
+   * Mirrors a point across the infinite line through a flat mirror.
+   * @param {Object} point - Point with x, y
+   * @param {Object} mirror - Mirror with x1, y1 and a unit normal
+   * @returns {Object} The virtual image position { x, y }
+   */
+  function createVirtualImage(point, mirror) {
+    const normalDistance = signedDistanceToMirror(point, mirror);
+
+    return {
+      x: point.x - 2 * normalDistance * mirror.normal.x,
+      y: point.y - 2 * normalDistance * mirror.normal.y
+    };
+  }
+
+  // Distance from a point to the mirror line, positive on the reflective side
+  function signedDistanceToMirror(point, mirror) {
+    const pointToMirrorVec = {
+      x: point.x - mirror.x1,
+      y: point.y - mirror.y1
+    };
+    return dotProduct(pointToMirrorVec, mirror.normal);
+  }
+
+  /**
+   * Checks whether a circle lies completely inside the room.
+   * @param {Object} circle - Object with x, y, radius
+   * @param {Object} [bounds] - { width, height }; a missing bounds means unbounded
+   * @returns {boolean}
+   */
+  function isWithinBounds(circle, bounds) {
+    if (!bounds) return true;
+
+    return !(circle.x - circle.radius < 0 ||
+             circle.x + circle.radius > bounds.width ||
+             circle.y - circle.radius < 0 ||
+             circle.y + circle.radius > bounds.height);
+  }
+
+  /**
+   * Checks if a reflection is visible from one eye of the scene, or from any of
+   * its eyes when none is given. Only the eyes the reflection was found for
+   * (its `visibleEyes`) are checked, since curved mirror images and their
+   * reflections are traced for one viewpoint.
+   * @param {Object} reflection - Reflection node produced by computeReflections
+   * @param {Object} scene - Scene the reflection belongs to
+   * @param {Object} [eye] - One of the scene's eyes
+   * @returns {boolean}
+   */
+  function isReflectionVisible(reflection, scene, eye) {
+    let eyes = eye ? [eye] : getSceneEyes(scene);
+
+    if (reflection.visibleEyes) {
+      eyes = eyes.filter(candidate => reflection.visibleEyes.includes(candidate));
+    }
+
+    return eyes.some(candidate => traceReflectionPath(reflection, scene, candidate) !== null);
+  }
+
+  /**
+   * Traces the light path of a reflection backwards from an eye to its ball.
+   *
+   * The image positions give the path by unfolding: the eye looks along the
+   * line to the image and meets the image's mirror, from there the light comes
+   * from the parent image and meets the parent's mirror, and so on down to the
+   * ball. Every hit has to land on the finite mirror, from its reflecting face,
+   * before the image it is aimed at. On a curved mirror the hit is the point
+   * where light from the parent image is reflected towards the previous hit.
+   * Each leg of the path must then be clear of obstacles and opaque mirrors;
+   * half-silvered mirrors it crosses only dim the light.
+   *
+   * A node from computeReflections only has a path to the eyes in its
+   * `visibleEyes`: images in curved mirrors are traced for one viewpoint, so
+   * there is no path to the other eyes.
+   *
+   * @param {Object} reflection - Reflection node produced by computeReflections
+   * @param {Object} scene - Scene the reflection belongs to
+   * @param {Object} [eye] - Eye to trace to, the scene's (first) eye by default
+   * @returns {Object|null} { hitPoints, transmission }, where hitPoints are the
+   *   points where the light meets each mirror of the chain, ball side first,
+   *   and transmission is the share of the light that gets through; or null
+   *   when there is no such path
+   */
+  function traceReflectionPath(reflection, scene, eye) {
+    eye = eye || scene.eye || getSceneEyes(scene)[0];
+    const ball = reflection.sourceBall || getSceneBalls(scene)[0];
+
+    if (reflection.visibleEyes && !reflection.visibleEyes.includes(eye)) return null;
+    if (!isWithinBounds(reflection, scene.bounds)) return null;
+
+    // The images of the chain, ball side first
+    const chain = [];
+    for (let node = reflection; node; node = node.parentReflection) {
+      chain.unshift(node);
+    }
+
+    const hitPoints = [];
+    let from = eye;
+    let fromMirror = null;
+    let transmission = 1;
+
+    for (let i = chain.length - 1; i >= 0; i--) {
+      const image = chain[i];
+      const source = i > 0 ? chain[i - 1] : ball;
+      const hitPoint = findPathHit(from, image, source, from === eye);
+      if (!hitPoint) return null;
+
+      // The light has to reach the eye from inside its view cone
+      if (from === eye && !isInFieldOfView(eye, hitPoint)) return null;
+
+      transmission *= legTransmission(from, hitPoint, fromMirror, scene);
+      if (transmission <= 0) return null;
+
+      hitPoints.unshift(hitPoint);
+      from = hitPoint;
+      fromMirror = image.sourceMirror;
+    }
+
+    // The last leg runs from the first mirror of the chain to the ball itself
+    transmission *= legTransmission(from, ball, fromMirror, scene);
+    if (transmission <= 0) return null;
+
+    return { hitPoints: hitPoints, transmission: transmission };
+  }
+
+  /**
+   * Works out the wedge of directions through which an eye sees a reflection.
+   *
+   * The eye looks at the image through the last mirror of its chain, that
+   * mirror shows the one before it, and so on: unfolding each mirror into the
+   * mirror world in front of it gives the window it makes, and the image can
+   * only be seen where all the windows overlap. Parts of the image outside the
+   * wedge are cut off by a mirror edge, or by the edge of the eye's view cone.
+   * Curved mirrors bend the view, so the mirrors behind one don't narrow the
+   * wedge any further.
+   *
+   * @param {Object} reflection - Reflection node produced by computeReflections
+   * @param {Object} scene - Scene the reflection belongs to
+   * @param {Object} [eye] - Eye looking at the image, the scene's (first) eye by default
+   * @returns {Object|null} { start, end }: angles in radians around the eye,
+   *   increasing from start to end (canvas convention, like p5's arc()); or
+   *   null when the eye can't see the reflection
+   */
+  function getVisibleWedge(reflection, scene, eye) {
+    eye = eye || scene.eye || getSceneEyes(scene)[0];
+    const path = traceReflectionPath(reflection, scene, eye);
+    if (!path) return null;
+
+    // Window edges are measured from the line of sight to the image's center,
+    // which the traced path shows to be inside every window
+    const center = Math.atan2(reflection.y - eye.y, reflection.x - eye.x);
+    let low = -Math.PI;
+    let high = Math.PI;
+
+    if (eye.fov !== undefined && eye.fov < TWO_PI) {
+      const direction = normalizeAngle(getEyeDirection(eye) - center + Math.PI) - Math.PI;
+      low = direction - eye.fov / 2;
+      high = direction + eye.fov / 2;
+    }
+    const unfoldedIn = []; // Mirrors between the eye and the current one, eye side first
+
+    for (let node = reflection; node; node = node.parentReflection) {
+      const mirror = node.sourceMirror;
+      let edges = mirror.type === 'arc'
+        ? sampleArc(mirror)
+        : [{ x: mirror.x1, y: mirror.y1 }, { x: mirror.x2, y: mirror.y2 }];
+
+      // Only the part of the mirror on the light's side of the next mirror shows in it
+      if (unfoldedIn.length > 0) {
+        edges = clipToSide(edges, unfoldedIn[unfoldedIn.length - 1], path.hitPoints[node.depth - 1]);
+        if (edges.length === 0) break;
+      }
+
+      const offsets = edges.map(point => {
+        for (let i = unfoldedIn.length - 1; i >= 0; i--) {
+          point = createVirtualImage(point, unfoldedIn[i]);
+        }
+        const angle = Math.atan2(point.y - eye.y, point.x - eye.x);
+        return normalizeAngle(angle - center + Math.PI) - Math.PI;
+      });
+
+      low = Math.max(low, Math.min(...offsets));
+      high = Math.min(high, Math.max(...offsets));
+
+      if (mirror.type === 'arc') break;
+      unfoldedIn.push(mirror);
+    }
+
+    return { start: center + low, end: center + high };
+  }
+
+  // The part of a line through the given points that lies on the same side of
+  // a flat mirror's line as `inside`
+  function clipToSide(points, mirror, inside) {
+    const side = Math.sign(signedDistanceToMirror(inside, mirror));
+    const clipped = [];
+
+    points.forEach((point, i) => {
+      const d = signedDistanceToMirror(point, mirror) * side;
+      if (d >= 0) clipped.push(point);
+
+      const next = points[i + 1];
+      if (!next) return;
+
+      // Where the line crosses over to the other side
+      const nextD = signedDistanceToMirror(next, mirror) * side;
+      if ((d < 0) !== (nextD < 0)) {
+        const t = d / (d - nextD);
+        clipped.push({ x: point.x + t * (next.x - point.x), y: point.y + t * (next.y - point.y) });
+      }
+    });
+
+    return clipped;
+  }
+
+  // Points along an arc mirror, used to find the window it makes
+  function sampleArc(arc) {
+    const points = [];
+    for (let i = 0; i <= ARC_SAMPLES; i++) {
+      points.push(arcPoint(arc, arc.startAngle + arcSpan(arc) * i / ARC_SAMPLES));
+    }
+    return points;
+  }
+
+  // Where light from `source`, seen from `from` as `image`, is reflected by the
+  // image's mirror, or null when the line of sight misses the mirror or meets
+  // a face that doesn't reflect
+  function findPathHit(from, image, source, fromEye) {
+    const mirror = image.sourceMirror;
+
+    if (mirror.type === 'arc') {
+      // Curved mirror images are traced for the eye, so from the eye the hit is known
+      if (fromEye) return image.hitPoint;
+
+      // Further along the path, look for the reflection point closest to the
+      // line of sight towards the image
+      const faces = [1, -1].filter(side => reflectsFace(mirror, side === 1 ? 'front' : 'back'));
+      const angles = [].concat(...faces.map(side => findArcReflectionAngles(source, from, mirror, side)));
+      const sight = normalizeVector({ x: image.x - from.x, y: image.y - from.y });
+      let best = null;
+      let bestOffset = Infinity;
+
+      for (let angle of angles) {
+        const point = arcPoint(mirror, angle);
+        const toPoint = { x: point.x - from.x, y: point.y - from.y };
+        if (dotProduct(toPoint, sight) <= 0) continue;
+
+        const offset = Math.abs(toPoint.x * sight.y - toPoint.y * sight.x);
+        if (offset < bestOffset) {
+          best = point;
+          bestOffset = offset;
+        }
+      }
+
+      return best;
+    }
+
+    // A flat mirror image lies straight behind the mirror: the line of sight
+    // must cross the mirror segment on its way to the image
+    const hitPoint = lineIntersection(from.x, from.y, image.x, image.y, mirror.x1, mirror.y1, mirror.x2, mirror.y2);
+    if (!hitPoint || distance(from.x, from.y, hitPoint.x, hitPoint.y) < 1e-9) return null;
+
+    // When dot product of normal and the line of sight is negative, the light
+    // arrives at the front (blue) side of the mirror
+    const sight = { x: hitPoint.x - from.x, y: hitPoint.y - from.y };
+    const face = dotProduct(mirror.normal, sight) < 0 ? 'front' : 'back';
+    if (!reflectsFace(mirror, face)) return null;
+
+    return hitPoint;
+  }
+
+  // Share of the light that gets through along one leg of a light path, from
+  // the eye or a point on `fromMirror` to the next hit point or the ball: 0
+  // when an obstacle or opaque mirror is in the way
+  function legTransmission(from, to, fromMirror, scene) {
+    const obstacles = scene.obstacles || [];
+    if (obstacles.some(obstacle => isSegmentObstructed(from, to, obstacle))) return 0;
+
+    let transmission = 1;
+
+    for (let mirror of scene.mirrors) {
+      if (mirror === fromMirror) {
+        // The leg starts on this mirror, so look back from the other end: a
+        // curved mirror can still curl round into the way
+        transmission *= segmentTransmission(to, from, mirror);
+      } else {
+        transmission *= segmentTransmission(from, to, mirror);
+      }
+    }
+
+    return transmission;
+  }
+
+  // Checks whether an obstacle crosses the segment from `from` to `to` before it
+  // reaches `to` (with a small margin for floating point errors)
+  function isSegmentObstructed(from, to, obstacle) {
+    const blockingIntersection = obstacleIntersection(from.x, from.y, to.x, to.y, obstacle);
+
+    if (!blockingIntersection) return false;
+
+    const distToBlocking = distance(from.x, from.y, blockingIntersection.x, blockingIntersection.y);
+    const distToTarget = distance(from.x, from.y, to.x, to.y);
+
+    return distToBlocking < distToTarget * 0.99;
+  }
+
+  // Share of the light that a mirror lets through along the segment from `from`
+  // to `to`: 1 when the mirror doesn't cross it before reaching `to` (with a
+  // small margin for floating point errors), 0 when an opaque mirror does
+  function segmentTransmission(from, to, mirror) {
+    const blockingIntersection = mirrorIntersection(from.x, from.y, to.x, to.y, mirror);
+
+    if (!blockingIntersection) return 1;
+
+    const distToBlocking = distance(from.x, from.y, blockingIntersection.x, blockingIntersection.y);
+    const distToTarget = distance(from.x, from.y, to.x, to.y);
+
+    return distToBlocking < distToTarget * 0.99 ? 1 - getReflectivity(mirror) : 1;
+  }
+
+  /**
+   * Checks whether light arriving at one face of a mirror is reflected. The
+   * front face is the one the normal points out of (the blue side).
+   * @param {Object} mirror - Flat or arc mirror
+   * @param {string} face - 'front' or 'back'
+   * @returns {boolean}
+   */
+  function reflectsFace(mirror, face) {
+    const sides = mirror.sides || 'front';
+    return sides === 'both' || sides === face;
+  }
+
+  /**
+   * Share of the light a mirror reflects, 1 unless it is half-silvered.
+   * @param {Object} mirror - Flat or arc mirror
+   * @returns {number}
+   */
+  function getReflectivity(mirror) {
+    return mirror.reflectivity === undefined ? 1 : mirror.reflectivity;
+  }
+
+  /**
+   * Finds the mirrors whose reflective side the eye can see directly, inside
+   * its view cone.
+   * @param {Object} scene - Scene with eye and mirrors
+   * @param {Object} [eye] - One of the scene's eyes, the first one by default
+   * @returns {Array} The visible mirrors
+   */
+  function getVisibleMirrors(scene, eye) {
+    const { mirrors } = scene;
+    eye = eye || getSceneEyes(scene)[0];
+    const obstacles = scene.obstacles || [];
+    const visibleMirrors = [];
+
+    for (let mirror of mirrors) {
+      // To check if a mirror is visible, sample multiple points along the blue side
+      const numSamples = 5;
+
+      for (let i = 0; i <= numSamples; i++) {
+        const sample = sampleReflectiveSide(mirror, i / numSamples);
+        if (!isInFieldOfView(eye, sample)) continue;
+
+        // Check if there's a clear line of sight from eye to this sample point
+        const blocked = mirrors.some(otherMirror =>
+          otherMirror !== mirror && segmentTransmission(eye, sample, otherMirror) === 0) ||
+          obstacles.some(obstacle => isSegmentObstructed(eye, sample, obstacle));
+        if (blocked) continue;
+
+        // If dot product is negative, we're looking at the front (blue) side
+        const eyeToSample = { x: sample.x - eye.x, y: sample.y - eye.y };
+        const face = dotProduct(getMirrorNormalAt(mirror, sample), eyeToSample) < 0 ? 'front' : 'back';
+        if (reflectsFace(mirror, face)) {
+          visibleMirrors.push(mirror);
+          break;
+        }
+      }
+    }
+
+    return visibleMirrors;
+  }
+
+  // Point on the reflective (blue) face of a mirror, t from 0 to 1 along it
+  function sampleReflectiveSide(mirror, t) {
+    const halfWidth = (mirror.width || 0) / 2;
+
+    if (mirror.type === 'arc') {
+      const angle = mirror.startAngle + arcSpan(mirror) * t;
+      const offset = mirror.reflectiveSide === 'convex' ? halfWidth : -halfWidth;
+      return {
+        x: mirror.cx + Math.cos(angle) * (mirror.radius + offset),
+        y: mirror.cy + Math.sin(angle) * (mirror.radius + offset)
+      };
+    }
+
+    return {
+      x: (mirror.x1 + mirror.normal.x * halfWidth) * (1 - t) + (mirror.x2 + mirror.normal.x * halfWidth) * t,
+      y: (mirror.y1 + mirror.normal.y * halfWidth) * (1 - t) + (mirror.y2 + mirror.normal.y * halfWidth) * t
+    };
+  }
+
+  /**
+   * Compares reflections against a set of target image positions.
+   *
+   * A target is matched when some reflection lies within `tolerance` pixels of
+   * it. Targets may narrow down which reflections qualify with an `order`
+   * (reflection depth), a `mirror` (index into `options.mirrors` of the
+   * mirror that produced the image), a `ball` (id of the ball the image
+   * shows) and an `eye` (id of an eye that must see it). With `oneToOne` set,
+   * each reflection can satisfy at most one target, and the assignment covers
+   * as many targets as possible, preferring closer reflections.
+   *
+   * @param {Array} targets - Target images with x, y and optional order, mirror, ball, eye
+   * @param {Array} reflections - Reflections to test, e.g. from computeReflections
+   * @param {Object} [options] - { tolerance (pixels, default 5), oneToOne, mirrors }
+   * @returns {Array} One { target, matched, reflection, distance } entry per target,
+   *   where reflection is the reflection assigned to the target (or null)
+   */
+  function matchTargets(targets, reflections, options) {
+    const opts = options || {};
+    const tolerance = opts.tolerance !== undefined ? opts.tolerance : 5;
+    const mirrors = opts.mirrors || [];
+
+    // Reflections that may satisfy each target, closest first
+    const candidates = targets.map(target => {
+      const matches = [];
+
+      for (let reflection of reflections) {
+        if (target.order !== undefined && reflection.depth !== target.order) continue;
+        if (target.mirror !== undefined && mirrors.indexOf(reflection.sourceMirror) !== target.mirror) continue;
+        if (target.ball !== undefined && (!reflection.sourceBall || reflection.sourceBall.id !== target.ball)) continue;
+        if (target.eye !== undefined && !(reflection.visibleEyes || []).some(eye => eye.id === target.eye)) continue;
+
+        const d = distance(target.x, target.y, reflection.x, reflection.y);
+        if (d <= tolerance) {
+          matches.push({ reflection: reflection, distance: d });
+        }
+      }
+
+      return matches.sort((a, b) => a.distance - b.distance);
+    });
+
+    const assigned = opts.oneToOne
+      ? assignOneToOne(candidates)
+      : candidates.map(matches => matches[0] || null);
+
+    return targets.map((target, i) => ({
+      target: target,
+      matched: assigned[i] !== null,
+      reflection: assigned[i] ? assigned[i].reflection : null,
+      distance: assigned[i] ? assigned[i].distance : null
+    }));
+  }
+
+  // Maximum bipartite matching of targets to reflections (augmenting paths).
+  // Returns the chosen candidate for each target, or null when unassigned.
+  function assignOneToOne(candidates) {
+    const owner = new Map(); // reflection -> index of the target it is assigned to
+    const assigned = candidates.map(() => null);
+
+    function assign(targetIndex, candidate) {
+      owner.set(candidate.reflection, targetIndex);
+      assigned[targetIndex] = candidate;
+    }
+
+    function tryAssign(targetIndex, visited) {
+      // Prefer the closest reflection nobody has claimed yet
+      const free = candidates[targetIndex].find(candidate =>
+        !visited.has(candidate.reflection) && !owner.has(candidate.reflection));
+      if (free) {
+        assign(targetIndex, free);
+        return true;
+      }
+
+      // Otherwise try to move another target off one of our reflections
+      for (let candidate of candidates[targetIndex]) {
+        if (visited.has(candidate.reflection)) continue;
+        visited.add(candidate.reflection);
+
+        if (tryAssign(owner.get(candidate.reflection), visited)) {
+          assign(targetIndex, candidate);
+          return true;
+        }
+      }
+      return false;
+    }
+
+    for (let i = 0; i < candidates.length; i++) {
+      tryAssign(i, new Set());
+    }
+
+    return assigned;
+  }
+
+  /**
+   * Calculates the intersection of two line segments.
+   * @returns {Object|null} The intersection point { x, y }, or null if the segments don't cross
+   */
+  function lineIntersection(x1, y1, x2, y2, x3, y3, x4, y4) {
+    const den = (y4 - y3) * (x2 - x1) - (x4 - x3) * (y2 - y1);
+
+    // If lines are parallel
+    if (den === 0) {
+      return null;
+    }
+
+    const ua = ((x4 - x3) * (y1 - y3) - (y4 - y3) * (x1 - x3)) / den;
+    const ub = ((x2 - x1) * (y1 - y3) - (y2 - y1) * (x1 - x3)) / den;
+
+    // If intersection is within both line segments
+    if (ua >= 0 && ua <= 1 && ub >= 0 && ub <= 1) {
+      return {
+        x: x1 + ua * (x2 - x1),
+        y: y1 + ua * (y2 - y1)
+      };
+    }
+
+    return null;
+  }
+
+  // Vector helper functions
+  function distance(x1, y1, x2, y2) {
+    return Math.sqrt((x2 - x1) * (x2 - x1) + (y2 - y1) * (y2 - y1));
+  }
+
+  function normalizeVector(v) {
+    const length = Math.sqrt(v.x * v.x + v.y * v.y);
+    return {
+      x: v.x / length,
+      y: v.y / length
+    };
+  }
+
+  function dotProduct(v1, v2) {
+    return v1.x * v2.x + v1.y * v2.y;
+  }
+
+  return {
+    DEFAULT_OPTIONS,
+    computeReflections,
+    getSceneBalls,
+    getSceneEyes,
+    getEyeDirection,
+    isInFieldOfView,
+    isReflectionVisible,
+    traceReflectionPath,
+    getVisibleWedge,
+    getVisibleMirrors,
+    createVirtualImage,
+    matchTargets,
+    mirrorIntersection,
+    obstacleIntersection,
+    getMirrorNormalAt,
+    reflectsFace,
+    getReflectivity,
+    arcPoint,
+    arcSpan,
+    isWithinBounds,
+    lineIntersection,
+    distance,
+    normalizeVector,
+    dotProduct
+  };
+});
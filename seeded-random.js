@@ -0,0 +1,54 @@
+/**
+ * Light Detective - Seeded Random
+ *
+ * A deterministic random number generator, so the same seed always gives the
+ * same randomized puzzle layout or generated puzzle. Used by the sketch for
+ * randomized puzzles and by the puzzle generator.
+ *
+ * In the browser the API is exposed as the global `SeededRandom`; in Node it is
+ * the module's exports.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SeededRandom = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  /**
+   * Creates a deterministic random number generator from a seed (a number or
+   * a string). Like p5's random(), the generator returns a number in [0, 1)
+   * without arguments, in [0, max) with one and in [min, max) with two.
+   * @param {number|string} seed
+   * @returns {Function}
+   */
+  function createSeededRandom(seed) {
+    // Hash the seed into a 32-bit state (FNV-1a)
+    const text = String(seed);
+    let state = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+      state ^= text.charCodeAt(i);
+      state = Math.imul(state, 16777619);
+    }
+
+    // Mulberry32: a small, fast generator with a full 32-bit period
+    function next() {
+      state = (state + 0x6D2B79F5) | 0;
+      let t = Math.imul(state ^ (state >>> 15), 1 | state);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    return function (min, max) {
+      if (min === undefined) return next();
+      if (max === undefined) return next() * min;
+      return min + next() * (max - min);
+    };
+  }
+
+  return {
+    createSeededRandom
+  };
+});